@@ -27,10 +27,27 @@ OPTIONS:
     --config <file>         Load configuration from file
 
   Rendering:
-    -t, --timeout <ms>      Timeout for rendering in milliseconds (default: 5000)
+    -t, --timeout <ms>      Timeout for rendering in milliseconds (default: 5000);
+                            the page is then written as it was, with a warning
     -w, --wait-for <sel>    CSS selector to wait for before capturing
+    --wait-until <event>    When the page is ready: domcontentloaded, load,
+                            networkidle0, networkidle2 or domstable
+    --idle-time <ms>        Quiet period for networkidle*/domstable (default: 500)
     -s, --selector <sel>    CSS selector to extract specific element
+    --all                   Extract every element matching --selector, as a
+                            JSON array
+    --property <name>       What to extract from matches: outerHTML (default),
+                            innerHTML or textContent
+    --mode <mode>           page (default), or article to print the main content
+                            and metadata of a news or blog page as JSON
+    --extract <file>        Print the JSON object described by the schema in a
+                            JSON file, e.g. {"title": "h1", "links": ["a@href"]}
     --script <code>         Execute JavaScript before capturing
+    --actions <file>        Run the steps in a JSON file (click, type, select,
+                            scroll, waitFor, wait) once the page is ready
+    --block <types>         Block resource types (comma-separated: image,font,
+                            media,stylesheet,script,document,fetch,xhr)
+    --block-url <pattern>   Block requests matching a URL pattern (repeatable)
 
   HTTP:
     -X, --method <method>   HTTP method (GET, POST, PUT, DELETE, etc.)
@@ -41,6 +58,8 @@ OPTIONS:
     --no-redirect           Don't follow redirects (default: follow)
 
   Output:
+    -f, --format <format>   Output format of rendered pages: html (default),
+                            text, markdown or json
     -o, --output <file>     Write output to file instead of stdout
     -q, --quiet             Suppress progress indicators
 
@@ -54,8 +73,24 @@ EXAMPLES:
   # Wait for element before capturing
   fetch-with-render -w ".content" https://spa-site.com
 
+  # Wait until the page stops making requests
+  fetch-with-render --wait-until networkidle0 https://spa-site.com
+
   # Extract specific element
-  fetch-with-render -s "article" https://blog.com/post
+  fetch-with-render -s ".post-body" https://blog.com/post
+
+  # Text of every matching element, as a JSON array
+  fetch-with-render -s ".product h2" --all --property textContent https://shop.com
+
+  # Structured data from a schema like
+  # {"items": [{"_root": ".card", "name": ".name", "price": ".price | number"}]}
+  fetch-with-render --extract schema.json https://shop.com
+
+  # Main content of a news or blog post, without navigation, ads and comments
+  fetch-with-render --mode article https://blog.com/post
+
+  # Article as markdown
+  fetch-with-render -s ".post-body" --format markdown https://blog.com/post
 
   # POST request
   fetch-with-render -X POST -d '{"key":"value"}' \\
@@ -70,6 +105,13 @@ EXAMPLES:
 
   # Custom timeout
   fetch-with-render -t 10000 https://slow-site.com
+
+  # Search a page before capturing, with steps like
+  # [{"type": ["#q", "shoes"]}, {"click": "#go"}, {"waitFor": ".results"}]
+  fetch-with-render --actions steps.json https://shop.example.com
+
+  # Skip images, fonts and ads while rendering
+  fetch-with-render --block image,font --block-url "*.doubleclick.net" https://news.com
 `);
 }
 
@@ -80,14 +122,24 @@ function parseArgs(args) {
     data: null,
     timeout: 5000,
     waitFor: null,
+    waitUntil: null,
+    idleTime: null,
     selector: null,
+    all: false,
+    property: null,
     script: null,
+    actions: null,
+    extract: null,
+    mode: null,
+    blockTypes: [],
+    blockUrls: [],
     headers: {},
     userAgent: null,
     cookies: [],
     followRedirect: true,
     verbose: false,
     quiet: false,
+    format: null,
     outputFile: null,
     configFile: null,
   };
@@ -150,17 +202,65 @@ function parseArgs(args) {
         options.waitFor = args[i];
         break;
 
+      case '--wait-until':
+        i++;
+        options.waitUntil = args[i];
+        break;
+
+      case '--idle-time':
+        i++;
+        options.idleTime = parseInt(args[i], 10);
+        if (isNaN(options.idleTime)) {
+          console.error('Error: idle time must be a number');
+          process.exit(1);
+        }
+        break;
+
       case '-s':
       case '--selector':
         i++;
         options.selector = args[i];
         break;
 
+      case '--all':
+        options.all = true;
+        break;
+
+      case '--property':
+        i++;
+        options.property = args[i];
+        break;
+
       case '--script':
         i++;
         options.script = args[i];
         break;
 
+      case '--actions':
+        i++;
+        options.actions = loadActions(args[i]);
+        break;
+
+      case '--mode':
+        i++;
+        options.mode = args[i];
+        break;
+
+      case '--extract':
+        i++;
+        options.extract = loadExtract(args[i]);
+        break;
+
+      case '--block':
+        i++;
+        options.blockTypes.push(...args[i].split(',').map(type => type.trim()).filter(Boolean));
+        break;
+
+      case '--block-url':
+        i++;
+        options.blockUrls.push(args[i]);
+        break;
+
       case '-H':
       case '--header':
         i++;
@@ -189,6 +289,12 @@ function parseArgs(args) {
         options.followRedirect = false;
         break;
 
+      case '-f':
+      case '--format':
+        i++;
+        options.format = args[i];
+        break;
+
       case '-o':
       case '--output':
         i++;
@@ -260,6 +366,9 @@ function loadConfig(options) {
     if (config.data && !options.data) {
       options.data = config.data;
     }
+    if (config.format && !options.format) {
+      options.format = config.format;
+    }
 
     if (options.verbose) {
       console.error(`Loaded config from: ${configPath}`);
@@ -270,6 +379,28 @@ function loadConfig(options) {
   }
 }
 
+function loadActions(actionsPath) {
+  try {
+    const actions = JSON.parse(readFileSync(actionsPath, 'utf-8'));
+    if (!Array.isArray(actions)) {
+      throw new Error('expected a JSON array of steps');
+    }
+    return actions;
+  } catch (error) {
+    console.error(`Error loading actions: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function loadExtract(schemaPath) {
+  try {
+    return JSON.parse(readFileSync(schemaPath, 'utf-8'));
+  } catch (error) {
+    console.error(`Error loading extraction schema: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 function showProgress(message) {
   console.error(`[${new Date().toISOString()}] ${message}`);
 }
@@ -344,18 +475,60 @@ async function main() {
         showProgress('Rendering HTML with JavaScript...');
       }
 
-      const renderOptions = {};
+      // A single render runs fastest in this process
+      const renderOptions = { isolation: 'inline' };
       if (options.timeout) renderOptions.timeout = options.timeout;
       if (options.waitFor) renderOptions.waitFor = options.waitFor;
+      if (options.waitUntil) renderOptions.waitUntil = options.waitUntil;
+      if (options.idleTime !== null) renderOptions.idleTime = options.idleTime;
       if (options.selector) renderOptions.selector = options.selector;
+      if (options.all) renderOptions.all = true;
+      if (options.property) renderOptions.property = options.property;
       if (options.script) renderOptions.script = options.script;
+      if (options.actions) renderOptions.actions = options.actions;
+      if (options.format) renderOptions.format = options.format;
+      if (options.extract) renderOptions.extract = options.extract;
+      if (options.mode) renderOptions.mode = options.mode;
+      if (options.blockTypes.length > 0 || options.blockUrls.length > 0) {
+        renderOptions.block = {
+          resourceTypes: options.blockTypes,
+          urlPatterns: options.blockUrls,
+        };
+      }
 
-      output = await response.render(renderOptions);
+      if (options.verbose) {
+        renderOptions.onConsole = (message) => {
+          showProgress(`console.${message.type}: ${message.text}`);
+        };
+      }
+
+      // At the timeout the page is captured as it was, and written with a warning
+      const result = await response.renderDetailed(renderOptions);
+      if (result.timedOut && !options.quiet) {
+        const waited = options.waitFor && !result.waitForMatched ? ` before ${options.waitFor} matched` : '';
+        console.error(`Warning: Rendering timed out${waited}; writing the page as it was`);
+      }
+      if (options.extract) {
+        output = JSON.stringify(result.extracted, null, 2);
+      } else if (result.article) {
+        output = JSON.stringify(result.article, null, 2);
+      } else {
+        const content = result.content !== undefined ? result.content : result.elements ?? result.html;
+        if (content === null) {
+          throw new Error(`No element matches selector ${options.selector}`);
+        }
+        output = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+      }
 
       if (options.verbose) {
-        const elapsed = Date.now() - startTime;
-        showProgress(`Rendered in ${elapsed}ms`);
+        const { navigation, load, waitFor, total } = result.timings;
+        const ms = (value) => (value == null ? '-' : `${Math.round(value)}ms`);
+        showProgress(`Final URL: ${result.finalUrl}`);
+        showProgress(`Rendered in ${ms(total)} (navigation ${ms(navigation)}, load ${ms(load)}, waitFor ${ms(waitFor)})`);
         showProgress(`Output length: ${output.length} bytes`);
+        if (renderOptions.block) {
+          showProgress(`Blocked requests: ${result.blockedRequests}`);
+        }
       }
     } else {
       // Non-HTML response - return as-is
@@ -310,6 +310,12 @@ if (!nativeBinding) {
   throw new Error(`Failed to load native binding`)
 }
 
-const { renderPage } = nativeBinding
+const { openPage, pageGoto, pageEvaluate, startRender, pollRenders, cancelRender, pageClose } = nativeBinding
 
-module.exports.renderPage = renderPage
+module.exports.openPage = openPage
+module.exports.pageGoto = pageGoto
+module.exports.pageEvaluate = pageEvaluate
+module.exports.startRender = startRender
+module.exports.pollRenders = pollRenders
+module.exports.cancelRender = cancelRender
+module.exports.pageClose = pageClose
@@ -6,12 +6,226 @@
 export interface RenderOptions {
   /** Maximum time to wait for rendering in milliseconds */
   timeout?: number
-  /** CSS selector to wait for before capturing HTML */
-  waitFor?: string
+  /**
+   * CSS selector to wait for before capturing HTML, or a wait condition
+   * as normalized by `toWaitCondition()` in page.mjs
+   */
+  waitFor?: any
+  /**
+   * When the page counts as ready: "domcontentloaded", "load" (default),
+   * "networkidle0", "networkidle2" or "domstable"
+   */
+  waitUntil?: string
+  /**
+   * Milliseconds without network or DOM activity the idle `wait_until`
+   * strategies wait for (default 500)
+   */
+  idleTime?: number
+  /**
+   * Capture when the page calls `window.fetchWithRender.ready()`, instead
+   * of using `wait_until` and `wait_for`
+   */
+  waitForSignal?: boolean
   /** CSS selector to extract (returns only matching element's HTML) */
   selector?: string
+  /** CSS selector of elements to extract, returned in `elements` instead of `html` */
+  selectorAll?: string
+  /**
+   * What to extract from `selector`/`selector_all` matches: "outerHTML"
+   * (default), "innerHTML" or "textContent"
+   */
+  property?: string
+  /**
+   * Also list the links, images, scripts, stylesheets, iframes and form
+   * actions of the page, and the resources it requested, in `assets`
+   */
+  assets?: boolean
   /** JavaScript code to execute before capturing HTML */
   script?: string
+  /**
+   * Steps run in order once the page is ready, before waiting for
+   * `wait_for` and capturing, such as `{ click: "#more" }` or
+   * `{ type: ["#q", "shoes"] }`
+   */
+  actions?: Array<any>
+  /**
+   * Already-fetched document to load instead of navigating to the URL.
+   * Relative URLs in the document resolve against the URL.
+   */
+  html?: string
+  /** Request headers from the originating fetch (including Cookie and User-Agent) */
+  headers?: Record<string, string>
+  /**
+   * Also send the request headers on same-origin fetch/XHR requests made by the
+   * page, and store the cookies of the `Cookie` header for its origin
+   */
+  subresourceHeaders?: boolean
+  /** Requests to block while the page loads */
+  block?: BlockOptions
+  /** Request proxy of the `onRequest` hook to send every request of the page through */
+  proxy?: ProxyOptions
+  /** Capture an image of the page once it is ready */
+  screenshot?: ScreenshotOptions
+  /** Print the page to PDF once it is ready */
+  pdf?: PdfOptions
+  /**
+   * Expression evaluated in the page once the HTML is captured. Its value,
+   * after awaiting promises, is returned as JSON in `evaluation`.
+   */
+  evaluate?: string
+  /**
+   * When the timeout expires, capture the page as it is instead of
+   * failing; the result then has `timed_out` set
+   */
+  extractOnTimeout?: boolean
 }
-/** Renders a webpage using a native WebView and returns the final HTML */
-export declare function renderPage(url: string, options?: RenderOptions | undefined | null): string
+export interface PdfOptions {
+  /** Paper width in millimetres */
+  width: number
+  /** Paper height in millimetres */
+  height: number
+  /** Margins in millimetres (default 0) */
+  marginTop?: number
+  marginRight?: number
+  marginBottom?: number
+  marginLeft?: number
+  /** Print background colors and images */
+  printBackground?: boolean
+}
+export interface BlockOptions {
+  /** Resource types to block: image, font, media, stylesheet, script, document, fetch, xhr */
+  resourceTypes?: Array<string>
+  /**
+   * URL patterns to block. `*` matches any run of characters; a pattern
+   * without `*` matches anywhere in the URL.
+   */
+  urlPatterns?: Array<string>
+}
+export interface ProxyOptions {
+  /** Port the proxy listens on, on 127.0.0.1 */
+  port: number
+  /** Certificate of the authority issuing the proxy's certificates, as base64 DER */
+  certificate: string
+  /** SHA-256 hash of the public key of the proxy's certificates, in base64 */
+  publicKeyHash: string
+}
+export interface ScreenshotOptions {
+  /** Capture the whole document instead of the viewport */
+  fullPage?: boolean
+  /** Area of the document to capture, in CSS pixels */
+  clip?: ScreenshotClip
+  /** CSS selector of the element to capture */
+  selector?: string
+  /** Image format: "png" (default) or "jpeg" */
+  type?: string
+  /** JPEG quality from 0 to 100 (default 80) */
+  quality?: number
+}
+export interface ScreenshotClip {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+/** A console message or uncaught error from the page */
+export interface ConsoleMessage {
+  /**
+   * "log", "info", "warn", "error", "debug", or "pageerror" for uncaught
+   * errors and unhandled promise rejections
+   */
+  type: string
+  /** The message, with the console arguments joined by spaces */
+  text: string
+  /** Script location of an uncaught error */
+  url?: string
+  line?: number
+  column?: number
+}
+/** How long each phase of a render took, in milliseconds */
+export interface RenderTimings {
+  /** From the start of the render to DOMContentLoaded, including WebView creation */
+  navigation?: number
+  /** From DOMContentLoaded to the load event */
+  load?: number
+  /** From the load event until `wait_for` matched and the HTML was captured */
+  waitFor?: number
+  /** The whole render, including any screenshot or PDF */
+  total: number
+}
+/** Result of rendering a page */
+export interface RenderResult {
+  /** The rendered HTML; absent when `selector` matched nothing, or with `selector_all` */
+  html?: string
+  /** What `selector_all` extracted from each match, in document order */
+  elements?: Array<string>
+  /** URL of the document when the HTML was captured */
+  finalUrl: string
+  /** Title of the document */
+  title: string
+  /** Whether the `wait_for` condition held, when one was given */
+  waitForMatched?: boolean
+  /** Whether the timeout expired and the page was captured as it was */
+  timedOut: boolean
+  timings: RenderTimings
+  /** Number of requests blocked by the `block` option */
+  blockedRequests: number
+  /** Image of the page, when a screenshot was requested */
+  screenshot?: Buffer
+  /** PDF of the page, when one was requested */
+  pdf?: Buffer
+  /** Console messages and uncaught errors, in the order the page produced them */
+  console: Array<ConsoleMessage>
+  /** JSON text of the value of the `evaluate` expression; absent for `undefined` */
+  evaluation?: string
+  /** JSON text of the payload the page passed to `fetchWithRender.ready()` */
+  signal?: string
+  /**
+   * JSON text of the metadata read from the document: meta tags,
+   * OpenGraph, Twitter cards, JSON-LD and links
+   */
+  metadata?: string
+  /** JSON text of the links and resources of the page, with the `assets` option */
+  assets?: string
+}
+/**
+ * Opens a page that stays alive across calls, until `page_close`. Returns
+ * the page id once the page is ready, as a render would capture it.
+ */
+export declare function openPage(url: string, options?: RenderOptions | undefined | null, onConsole?: (...args: any[]) => any | undefined | null): number
+/** Navigates an open page to a URL and waits until the new document is ready */
+export declare function pageGoto(id: number, url: string, timeout?: number | undefined | null, onConsole?: (...args: any[]) => any | undefined | null): RenderResult
+/**
+ * Evaluates an expression in an open page, like the `evaluate` render
+ * option, and returns the JSON text of its value
+ */
+export declare function pageEvaluate(id: number, source: string, timeout?: number | undefined | null, onConsole?: (...args: any[]) => any | undefined | null): string | null
+/** A render started with `start_render` that has finished */
+export interface FinishedRender {
+  /** Id `start_render` returned */
+  id: number
+  /** The result, when the render succeeded */
+  result?: RenderResult
+  /** Message of the error the render failed with */
+  error?: string
+}
+/**
+ * Starts rendering a page without waiting for it, so several pages can
+ * render at once on the shared event loop. Returns an id to find the
+ * render among those `poll_renders` returns.
+ */
+export declare function startRender(url: string, options?: RenderOptions | undefined | null): number
+/**
+ * Runs the event loop until at least one of the renders started with
+ * `start_render` finishes, or for at most `slice` milliseconds when given,
+ * and returns the renders that finished. The hook is called with the id
+ * of the render first: `on_console(id, message)`.
+ */
+export declare function pollRenders(slice?: number | undefined | null, onConsole?: (...args: any[]) => any | undefined | null): Array<FinishedRender>
+/**
+ * Cancels a render started with `start_render`: its window closes and it
+ * won't be among those `poll_renders` returns. Cancelling a finished render
+ * does nothing.
+ */
+export declare function cancelRender(id: number): void
+/** Closes an open page and its window. Closing a closed page does nothing. */
+export declare function pageClose(id: number): void
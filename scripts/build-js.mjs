@@ -39,6 +39,51 @@ async function build() {
     join(distDir, 'render-worker.js')
   );
 
+  await copyAndTransform(
+    join(projectRoot, 'src', 'render-loop.mjs'),
+    join(distDir, 'render-loop.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'render-pool.mjs'),
+    join(distDir, 'render-pool.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'request-proxy.mjs'),
+    join(distDir, 'request-proxy.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'page.mjs'),
+    join(distDir, 'page.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'page-worker.mjs'),
+    join(distDir, 'page-worker.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'format.mjs'),
+    join(distDir, 'format.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'extract.mjs'),
+    join(distDir, 'extract.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'article.mjs'),
+    join(distDir, 'article.js')
+  );
+
+  await copyAndTransform(
+    join(projectRoot, 'src', 'render-many.mjs'),
+    join(distDir, 'render-many.js')
+  );
+
   // Copy TypeScript definitions if they exist (may not exist for cross-compiled targets)
   try {
     await copyFile(
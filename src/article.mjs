@@ -0,0 +1,292 @@
+/**
+ * Main-content extraction for `mode: 'article'`. The rendered page is
+ * parsed with jsdom and its paragraphs are scored, like Readability does,
+ * to find the element holding the article body without navigation, ads
+ * and comments. Metadata comes from JSON-LD, meta tags and the markup.
+ */
+
+import { toText } from './format.mjs';
+
+// Elements that are never part of the article
+const REMOVED_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'link', 'meta', 'iframe', 'form', 'button',
+  'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog',
+  '[role="navigation"]', '[role="complementary"]', '[role="dialog"]', '[aria-hidden="true"]', '[hidden]',
+].join(',');
+
+// Class names and ids of elements that are unlikely to hold the article,
+// unless they also look like content
+const UNLIKELY = /-ad-|^ad-|ads|banner|breadcrumb|combx|comment|community|cookie|consent|disqus|extra|footer|gdpr|header|menu|modal|newsletter|pagination|pager|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe/i;
+const MAYBE_CONTENT = /and|article|body|column|content|main|shadow/i;
+
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|^ad-|hidden|banner|combx|comment|contact|foot|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements whose text is scored, and how their ancestors start out
+const SCORED_ELEMENTS = 'p, pre, blockquote, td, div';
+const BLOCK_CHILDREN = 'p, div, pre, blockquote, table, ul, ol, dl, section, article, h1, h2, h3, h4, h5, h6';
+const TAG_SCORES = {
+  div: 5, article: 5, main: 5, section: 3, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5,
+};
+
+// Elements removed from the article when they look like link lists or boilerplate
+const CONDITIONAL_ELEMENTS = 'div, section, header, ul, ol, table';
+
+// JSON-LD types describing an article
+const ARTICLE_TYPES = /Article|BlogPosting|Report|Posting|Review/;
+
+/**
+ * Extracts the main content of a rendered page.
+ *
+ * @param {string} html - HTML of the whole rendered page
+ * @param {Object} page
+ * @param {string} page.url - URL of the page, which links and images are resolved against
+ * @param {string} page.title - Title of the document
+ * @returns {Promise<Object>} `{title, byline, publishedTime, content, textContent, excerpt, siteName}`;
+ * `content` is the article HTML and missing metadata is null
+ */
+export async function extractArticle(html, { url, title }) {
+  const { JSDOM } = await import('jsdom');
+
+  let dom;
+  try {
+    dom = new JSDOM(html, { url });
+  } catch {
+    // URLs jsdom can't use as a base, such as data: URLs
+    dom = new JSDOM(html);
+  }
+  const { document } = dom.window;
+
+  // Metadata first, since finding the content removes elements
+  const metadata = readMetadata(document);
+  const content = findContent(document);
+  cleanContent(content);
+
+  const textContent = toText(content);
+  const firstParagraph = Array.from(content.querySelectorAll('p'), (p) => normalize(p.textContent))
+    .find((text) => text.length > 0);
+
+  return {
+    title: metadata.title || title || null,
+    byline: metadata.byline,
+    publishedTime: metadata.publishedTime,
+    content: content.innerHTML.trim(),
+    textContent,
+    excerpt: metadata.excerpt ?? firstParagraph ?? null,
+    siteName: metadata.siteName,
+  };
+}
+
+/**
+ * Reads the title, author, publication time, description and site name of
+ * the page from its JSON-LD, meta tags and markup.
+ *
+ * @private
+ */
+function readMetadata(document) {
+  const meta = (...names) => {
+    for (const name of names) {
+      const el = document.querySelector(
+        `meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`
+      );
+      const value = normalize(el?.getAttribute('content'));
+      if (value) return value;
+    }
+    return null;
+  };
+
+  const jsonLd = readJsonLd(document);
+  const authors = [jsonLd?.author].flat().map((author) => (typeof author === 'string' ? author : author?.name));
+
+  const bylineElement = document.querySelector(
+    '[rel="author"], [itemprop="author"], .byline, .author, .article-author, .post-author'
+  );
+  const bylineText = normalize(bylineElement?.textContent);
+  const metaAuthor = meta('author', 'article:author', 'twitter:creator');
+
+  const publishedElement = document.querySelector('time[pubdate], article time[datetime], time[itemprop="datePublished"]');
+
+  return {
+    title: normalize(jsonLd?.headline) || meta('og:title', 'twitter:title') || normalize(document.title) || null,
+    byline: authors.filter(Boolean).join(', ')
+      || (metaAuthor && !/^https?:/.test(metaAuthor) ? metaAuthor : null)
+      || (bylineText && bylineText.length < 100 ? bylineText : null),
+    publishedTime: jsonLd?.datePublished
+      || meta('article:published_time', 'datePublished', 'date', 'pubdate', 'publish-date')
+      || publishedElement?.getAttribute('datetime')
+      || null,
+    excerpt: normalize(jsonLd?.description) || meta('og:description', 'twitter:description', 'description'),
+    siteName: normalize(jsonLd?.publisher?.name) || meta('og:site_name', 'application-name'),
+  };
+}
+
+/**
+ * Finds the JSON-LD object describing an article, including ones listed in
+ * an `@graph`. Blocks that don't parse are ignored.
+ *
+ * @private
+ */
+function readJsonLd(document) {
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch {
+      continue;
+    }
+    const objects = [data].flat().flatMap((object) => [object, ...[object?.['@graph'] ?? []].flat()]);
+    const article = objects.find((object) => ARTICLE_TYPES.test([object?.['@type']].flat().join(' ')));
+    if (article) return article;
+  }
+  return null;
+}
+
+/**
+ * Scores the text blocks of the page and returns the element holding the
+ * article, joined with the siblings that look like part of it.
+ *
+ * @private
+ */
+function findContent(document) {
+  const body = document.body;
+  for (const el of body.querySelectorAll(REMOVED_ELEMENTS)) {
+    el.remove();
+  }
+  for (const el of Array.from(body.querySelectorAll('*'))) {
+    const match = `${el.getAttribute('class') ?? ''} ${el.id}`;
+    if (
+      el.isConnected &&
+      !['BODY', 'ARTICLE', 'MAIN', 'A', 'TABLE', 'TBODY', 'TR', 'TD'].includes(el.tagName) &&
+      UNLIKELY.test(match) &&
+      !MAYBE_CONTENT.test(match)
+    ) {
+      el.remove();
+    }
+  }
+
+  const scores = new Map();
+  const scoreOf = (el) => {
+    if (!scores.has(el)) {
+      scores.set(el, (TAG_SCORES[el.localName] ?? 0) + classWeight(el));
+    }
+    return scores.get(el);
+  };
+
+  for (const el of body.querySelectorAll(SCORED_ELEMENTS)) {
+    // Divs only count as paragraphs when they hold text rather than blocks
+    if (el.localName === 'div' && el.querySelector(BLOCK_CHILDREN)) continue;
+
+    const text = normalize(el.textContent);
+    if (text.length < 25) continue;
+
+    const commas = text.split(',').length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = el.parentElement;
+    for (let level = 0; ancestor && ancestor !== document.documentElement && level < 3; level++) {
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scoreOf(ancestor) + score / divider);
+      ancestor = ancestor.parentElement;
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top || top === body) {
+    return body;
+  }
+
+  // Siblings such as further paragraphs or a lead image often belong to the article
+  const threshold = Math.max(10, topScore * 0.2);
+  const parts = Array.from(top.parentElement?.children ?? [top]).filter((sibling) => {
+    if (sibling === top) return true;
+    if ((scores.get(sibling) ?? 0) >= threshold) return true;
+    if (sibling.localName !== 'p') return false;
+    const text = normalize(sibling.textContent);
+    const density = linkDensity(sibling);
+    return (text.length > 80 && density < 0.25) || (density === 0 && /\.( |$)/.test(text));
+  });
+
+  if (parts.length === 1) {
+    return top;
+  }
+  const container = document.createElement('div');
+  container.append(...parts);
+  return container;
+}
+
+/**
+ * Removes what is left of boilerplate inside the article: elements with
+ * negative class names, and blocks that are mostly links. Links and image
+ * sources are made absolute.
+ *
+ * @private
+ */
+function cleanContent(content) {
+  // Innermost elements first, so a container isn't judged by boilerplate it holds
+  for (const el of Array.from(content.querySelectorAll(CONDITIONAL_ELEMENTS)).reverse()) {
+    const weight = classWeight(el);
+    const text = normalize(el.textContent);
+    const commas = text.split(',').length - 1;
+    const density = linkDensity(el);
+
+    if (
+      weight < 0 ||
+      (commas < 10 && density > (weight >= 25 ? 0.5 : 0.2)) ||
+      (commas < 10 && text.length === 0 && !el.querySelector('img, picture, video, figure'))
+    ) {
+      el.remove();
+    }
+  }
+
+  for (const el of content.querySelectorAll('a[href]')) {
+    el.setAttribute('href', el.href);
+  }
+  for (const el of content.querySelectorAll('img[src]')) {
+    el.setAttribute('src', el.src);
+  }
+}
+
+/**
+ * Scores class names and ids that look like content up, and ones that look
+ * like boilerplate down.
+ *
+ * @private
+ */
+function classWeight(el) {
+  let weight = 0;
+  for (const value of [el.getAttribute('class'), el.id]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Share of an element's text that is inside links.
+ *
+ * @private
+ */
+function linkDensity(el) {
+  const length = normalize(el.textContent).length;
+  if (length === 0) return 0;
+  let linkLength = 0;
+  for (const link of el.querySelectorAll('a')) {
+    linkLength += normalize(link.textContent).length;
+  }
+  return linkLength / length;
+}
+
+function normalize(text) {
+  return (text ?? '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,406 @@
+//! Image and PDF capture from a render's WebView.
+//!
+//! Engines take snapshots and print asynchronously: `snapshot` and
+//! `print_pdf` return right away and hand the bytes to their callback while
+//! the event loop keeps running.
+
+use crate::PdfOptions;
+use image::{DynamicImage, ImageFormat, ImageOutputFormat};
+use serde::{Deserialize, Serialize};
+use std::io::Cursor;
+use std::path::PathBuf;
+use wry::WebView;
+
+/// Receives the captured bytes, or a description of what went wrong
+pub type CaptureCallback = Box<dyn FnOnce(Result<Vec<u8>, String>)>;
+
+/// Rectangle in CSS pixels, relative to the top-left corner of the document
+#[derive(Deserialize, Serialize, Clone, Copy, Debug, PartialEq)]
+pub struct Area {
+    pub x: f64,
+    pub y: f64,
+    pub width: f64,
+    pub height: f64,
+}
+
+/// What the page reported about the area to capture
+#[derive(Deserialize, Debug)]
+pub struct CaptureRequest {
+    /// Part of the snapshot to keep
+    pub clip: Option<Area>,
+    /// Whether the snapshot must cover the whole document rather than the viewport
+    #[serde(default, rename = "fullDocument")]
+    pub full_document: bool,
+    /// Width and height of what is snapshotted, in CSS pixels
+    pub width: f64,
+    pub height: f64,
+    /// Set when the page could not determine the area
+    pub error: Option<String>,
+}
+
+/// Takes a PNG snapshot of the viewport, or of the whole document when
+/// `document_size` is given
+#[cfg(target_os = "linux")]
+pub fn snapshot(webview: &WebView, document_size: Option<(f64, f64)>, on_done: CaptureCallback) {
+    use webkit2gtk::{SnapshotOptions, SnapshotRegion, WebViewExt};
+    use wry::WebViewExtUnix;
+
+    let region = match document_size {
+        Some(_) => SnapshotRegion::FullDocument,
+        None => SnapshotRegion::Visible,
+    };
+
+    webview.webview().snapshot(
+        region,
+        SnapshotOptions::NONE,
+        None::<&gtk::gio::Cancellable>,
+        move |result| {
+            let png = result.map_err(|e| e.to_string()).and_then(|surface| {
+                let image = cairo::ImageSurface::try_from(surface)
+                    .map_err(|_| "Snapshot is not an image surface".to_string())?;
+                let mut png = Vec::new();
+                image.write_to_png(&mut png).map_err(|e| e.to_string())?;
+                Ok(png)
+            });
+            on_done(png);
+        },
+    );
+}
+
+/// Takes a PNG snapshot of the viewport, or of the whole document when
+/// `document_size` is given
+#[cfg(target_os = "macos")]
+pub fn snapshot(webview: &WebView, document_size: Option<(f64, f64)>, on_done: CaptureCallback) {
+    use block::ConcreteBlock;
+    use cocoa::base::{id, nil};
+    use cocoa::foundation::{NSRect, NSSize};
+    use objc::{msg_send, sel, sel_impl};
+    use std::cell::RefCell;
+    use wry::WebViewExtMacOS;
+
+    // The completion handler is an Fn block but only ever runs once
+    let on_done = RefCell::new(Some(on_done));
+
+    unsafe {
+        let view: id = webview.webview();
+        // Kept alive until the snapshot completes, even if the render ends first
+        let _: id = msg_send![view, retain];
+
+        // WKWebView only draws what fits its frame, so grow it to the document
+        // first, and restore it once the snapshot is taken
+        let original_frame = document_size.map(|(width, height)| {
+            let frame: NSRect = msg_send![view, frame];
+            let _: () =
+                msg_send![view, setFrame: NSRect::new(frame.origin, NSSize::new(width, height))];
+            frame
+        });
+
+        let handler = ConcreteBlock::new(move |image: id, error: id| {
+            let result = if image == nil {
+                Err(macos::describe_error(error))
+            } else {
+                macos::png_data(image)
+            };
+            if let Some(frame) = original_frame {
+                let _: () = msg_send![view, setFrame: frame];
+            }
+            let _: () = msg_send![view, release];
+            if let Some(done) = on_done.borrow_mut().take() {
+                done(result);
+            }
+        })
+        .copy();
+
+        let _: () =
+            msg_send![view, takeSnapshotWithConfiguration: nil completionHandler: &*handler];
+    }
+}
+
+#[cfg(target_os = "macos")]
+pub(crate) mod macos {
+    use crate::PdfOptions;
+    use cocoa::base::{id, nil};
+    use cocoa::foundation::{NSPoint, NSRect, NSSize, NSString};
+    use objc::runtime::{BOOL, NO, YES};
+    use objc::{class, msg_send, sel, sel_impl};
+    use std::ffi::CStr;
+    use std::os::raw::c_char;
+    use std::path::Path;
+
+    /// NSBitmapImageFileTypePNG
+    const PNG_FILE_TYPE: usize = 4;
+
+    /// Encodes an NSImage as PNG
+    pub unsafe fn png_data(image: id) -> Result<Vec<u8>, String> {
+        let tiff: id = msg_send![image, TIFFRepresentation];
+        let bitmap: id = msg_send![class!(NSBitmapImageRep), imageRepWithData: tiff];
+        if bitmap == nil {
+            return Err("Could not read snapshot image".to_string());
+        }
+        let properties: id = msg_send![class!(NSDictionary), dictionary];
+        let png: id =
+            msg_send![bitmap, representationUsingType: PNG_FILE_TYPE properties: properties];
+        Ok(data_bytes(png))
+    }
+
+    /// Copies the bytes out of an NSData
+    pub unsafe fn data_bytes(data: id) -> Vec<u8> {
+        if data == nil {
+            return Vec::new();
+        }
+        let length: usize = msg_send![data, length];
+        let bytes: *const u8 = msg_send![data, bytes];
+        std::slice::from_raw_parts(bytes, length).to_vec()
+    }
+
+    /// Runs a print operation that saves the page as a PDF at `path`.
+    /// The operation runs synchronously since the window is never shown.
+    pub unsafe fn print_to_file(view: id, options: &PdfOptions, path: &Path) -> Result<(), String> {
+        let to_points = |millimetres: f64| millimetres * 72.0 / 25.4;
+        let (width, height) = (to_points(options.width), to_points(options.height));
+
+        // WKPreferences only has shouldPrintBackgrounds from macOS 13.3
+        let configuration: id = msg_send![view, configuration];
+        let preferences: id = msg_send![configuration, preferences];
+        let settable: BOOL =
+            msg_send![preferences, respondsToSelector: sel!(setShouldPrintBackgrounds:)];
+        if settable == YES {
+            let print_background = if options.print_background.unwrap_or(false) {
+                YES
+            } else {
+                NO
+            };
+            let _: () = msg_send![preferences, setShouldPrintBackgrounds: print_background];
+        }
+
+        let shared: id = msg_send![class!(NSPrintInfo), sharedPrintInfo];
+        let info: id = msg_send![shared, copy];
+        let _: () = msg_send![info, setPaperSize: NSSize::new(width, height)];
+        let _: () = msg_send![info, setTopMargin: to_points(options.margin_top.unwrap_or(0.0))];
+        let _: () = msg_send![info, setRightMargin: to_points(options.margin_right.unwrap_or(0.0))];
+        let _: () =
+            msg_send![info, setBottomMargin: to_points(options.margin_bottom.unwrap_or(0.0))];
+        let _: () = msg_send![info, setLeftMargin: to_points(options.margin_left.unwrap_or(0.0))];
+        let disposition = ns_string("NSPrintSaveJob");
+        let _: () = msg_send![info, setJobDisposition: disposition];
+        release(disposition);
+
+        let file = ns_string(&path.to_string_lossy());
+        let url: id = msg_send![class!(NSURL), fileURLWithPath: file];
+        release(file);
+        let key = ns_string("NSPrintJobSavingURL");
+        let dictionary: id = msg_send![info, dictionary];
+        let _: () = msg_send![dictionary, setObject: url forKey: key];
+        release(key);
+
+        let operation: id = msg_send![view, printOperationWithPrintInfo: info];
+        release(info);
+        let _: () = msg_send![operation, setShowsPrintPanel: NO];
+        let _: () = msg_send![operation, setShowsProgressPanel: NO];
+
+        // The print view has no size of its own and would print blank pages
+        let print_view: id = msg_send![operation, view];
+        let _: () = msg_send![print_view, setFrame: NSRect::new(NSPoint::new(0.0, 0.0), NSSize::new(width, height))];
+
+        let printed: BOOL = msg_send![operation, runOperation];
+        if printed == YES {
+            Ok(())
+        } else {
+            Err("Print operation failed".to_string())
+        }
+    }
+
+    /// Creates an NSString from a Rust string. The caller owns it and
+    /// releases it with `release` once done.
+    pub unsafe fn ns_string(value: &str) -> id {
+        NSString::alloc(nil).init_str(value)
+    }
+
+    /// Gives up ownership of an object created with alloc, copy or retain
+    pub unsafe fn release(object: id) {
+        let _: () = msg_send![object, release];
+    }
+
+    /// Reads the localized description of an NSError
+    pub unsafe fn describe_error(error: id) -> String {
+        if error == nil {
+            return "Unknown WebKit error".to_string();
+        }
+        let description: id = msg_send![error, localizedDescription];
+        let utf8: *const c_char = msg_send![description, UTF8String];
+        CStr::from_ptr(utf8).to_string_lossy().into_owned()
+    }
+}
+
+/// Takes a PNG snapshot of the viewport, or of the whole document when
+/// `document_size` is given
+#[cfg(not(any(target_os = "linux", target_os = "macos")))]
+pub fn snapshot(_webview: &WebView, _document_size: Option<(f64, f64)>, on_done: CaptureCallback) {
+    on_done(Err(
+        "Screenshots are not supported on this platform yet".to_string()
+    ));
+}
+
+/// Prints the page to PDF with the paper size and margins of `options`
+#[cfg(target_os = "linux")]
+pub fn print_pdf(webview: &WebView, options: &PdfOptions, on_done: CaptureCallback) {
+    use gtk::{PageSetup, PaperSize, PrintSettings, Unit};
+    use std::cell::RefCell;
+    use std::rc::Rc;
+    use webkit2gtk::{PrintOperation, PrintOperationExt, SettingsExt, WebViewExt};
+    use wry::WebViewExtUnix;
+
+    let view = webview.webview();
+    if let Some(settings) = WebViewExt::settings(&view) {
+        settings.set_print_backgrounds(options.print_background.unwrap_or(false));
+    }
+
+    // WebKitGTK prints through the "Print to File" backend, which only writes to a file
+    let path = temp_pdf_path();
+    let print_settings = PrintSettings::new();
+    print_settings.set("printer", Some("Print to File"));
+    print_settings.set("output-file-format", Some("pdf"));
+    print_settings.set("output-uri", Some(&format!("file://{}", path.display())));
+
+    let page_setup = PageSetup::new();
+    page_setup.set_paper_size(&PaperSize::new_custom(
+        "fetch-with-render",
+        "fetch-with-render",
+        options.width,
+        options.height,
+        Unit::Mm,
+    ));
+    page_setup.set_top_margin(options.margin_top.unwrap_or(0.0), Unit::Mm);
+    page_setup.set_right_margin(options.margin_right.unwrap_or(0.0), Unit::Mm);
+    page_setup.set_bottom_margin(options.margin_bottom.unwrap_or(0.0), Unit::Mm);
+    page_setup.set_left_margin(options.margin_left.unwrap_or(0.0), Unit::Mm);
+
+    let operation = PrintOperation::new(&view);
+    operation.set_print_settings(&print_settings);
+    operation.set_page_setup(&page_setup);
+
+    // Either signal ends the job; the operation is kept alive until then
+    let pending = Rc::new(RefCell::new(Some((on_done, operation.clone()))));
+    let pending_failed = Rc::clone(&pending);
+    let finished_path = path.clone();
+
+    operation.connect_finished(move |_| {
+        if let Some((done, _operation)) = pending.borrow_mut().take() {
+            let pdf = std::fs::read(&finished_path).map_err(|e| e.to_string());
+            let _ = std::fs::remove_file(&finished_path);
+            done(pdf);
+        }
+    });
+    operation.connect_failed(move |_, error| {
+        if let Some((done, _operation)) = pending_failed.borrow_mut().take() {
+            let _ = std::fs::remove_file(&path);
+            done(Err(error.to_string()));
+        }
+    });
+    operation.print();
+}
+
+/// Prints the page to PDF with the paper size and margins of `options`
+#[cfg(target_os = "macos")]
+pub fn print_pdf(webview: &WebView, options: &PdfOptions, on_done: CaptureCallback) {
+    use wry::WebViewExtMacOS;
+
+    let path = temp_pdf_path();
+    let pdf = unsafe { macos::print_to_file(webview.webview(), options, &path) }
+        .and_then(|_| std::fs::read(&path).map_err(|e| e.to_string()));
+    let _ = std::fs::remove_file(&path);
+    on_done(pdf);
+}
+
+/// Prints the page to PDF with the paper size and margins of `options`
+#[cfg(not(any(target_os = "linux", target_os = "macos")))]
+pub fn print_pdf(_webview: &WebView, _options: &PdfOptions, on_done: CaptureCallback) {
+    on_done(Err(
+        "PDF export is not supported on this platform yet".to_string()
+    ));
+}
+
+/// Unique path for the engine to write a PDF to before it is read back
+#[cfg_attr(not(any(target_os = "linux", target_os = "macos")), allow(dead_code))]
+fn temp_pdf_path() -> PathBuf {
+    use std::sync::atomic::{AtomicU32, Ordering};
+
+    static NEXT: AtomicU32 = AtomicU32::new(0);
+    std::env::temp_dir().join(format!(
+        "fetch-with-render-{}-{}.pdf",
+        std::process::id(),
+        NEXT.fetch_add(1, Ordering::Relaxed)
+    ))
+}
+
+/// Crops a PNG snapshot to `clip` and encodes it as PNG or JPEG.
+/// `captured_width` is the width in CSS pixels that the snapshot covers,
+/// which gives the device pixel ratio of the image.
+pub fn encode(
+    png: &[u8],
+    clip: Option<Area>,
+    captured_width: f64,
+    format: &str,
+    quality: u8,
+) -> Result<Vec<u8>, String> {
+    if clip.is_none() && format == "png" {
+        return Ok(png.to_vec());
+    }
+
+    let mut image =
+        image::load_from_memory_with_format(png, ImageFormat::Png).map_err(|e| e.to_string())?;
+
+    if let Some(area) = clip {
+        let scale = if captured_width > 0.0 {
+            image.width() as f64 / captured_width
+        } else {
+            1.0
+        };
+        let (x, y, width, height) = pixel_bounds(area, scale, image.width(), image.height());
+        if width == 0 || height == 0 {
+            return Err("Clip area is outside the page".to_string());
+        }
+        image = image.crop_imm(x, y, width, height);
+    }
+
+    let mut bytes = Cursor::new(Vec::new());
+    match format {
+        // JPEG has no alpha channel
+        "jpeg" => DynamicImage::ImageRgb8(image.to_rgb8())
+            .write_to(&mut bytes, ImageOutputFormat::Jpeg(quality)),
+        _ => image.write_to(&mut bytes, ImageOutputFormat::Png),
+    }
+    .map_err(|e| e.to_string())?;
+    Ok(bytes.into_inner())
+}
+
+/// Converts an area in CSS pixels to pixel bounds within an image
+fn pixel_bounds(
+    area: Area,
+    scale: f64,
+    image_width: u32,
+    image_height: u32,
+) -> (u32, u32, u32, u32) {
+    let clamp = |value: f64, max: u32| (value * scale).round().clamp(0.0, max as f64) as u32;
+    let x = clamp(area.x, image_width);
+    let y = clamp(area.y, image_height);
+    let right = clamp(area.x + area.width, image_width);
+    let bottom = clamp(area.y + area.height, image_height);
+    (x, y, right - x, bottom - y)
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    #[test]
+    fn test_pixel_bounds_scales_and_clamps() {
+        let area = Area {
+            x: 10.0,
+            y: 20.0,
+            width: 100.0,
+            height: 1000.0,
+        };
+        assert_eq!(pixel_bounds(area, 2.0, 800, 600), (20, 40, 200, 560));
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Schemas of the `extract` render option. A schema is parsed here into the
+ * JSON form page-script.js evaluates against the rendered DOM.
+ */
+
+export const EXTRACT_TYPES = ['string', 'number', 'int', 'boolean', 'date'];
+
+// 'selector@attribute | type'; the pipe needs a space before it so it isn't
+// confused with the `|=` attribute selector
+const FIELD_PATTERN = /^(.*?)(?:@([\w:-]+))?(?:\s+\|\s*(\w+))?\s*$/s;
+
+/**
+ * Parses an extraction schema:
+ *
+ * - a string `'selector@attribute | type'` reads the text of the first
+ *   match, or one of its attributes, optionally coerced to a type;
+ *   without a selector it reads the element in scope
+ * - an array `[schema]` reads every match instead of the first
+ * - an object maps keys to schemas; its `_root` selector scopes them to the
+ *   first match, or to each match inside an array
+ *
+ * @param {string|Array|Object} schema - The extraction schema
+ * @param {string} [path='extract'] - Where the schema is, for error messages
+ * @returns {Object} The schema as evaluated in the page
+ */
+export function toExtractSchema(schema, path = 'extract') {
+  if (typeof schema === 'string') {
+    const [, selector, attribute, type = 'string'] = FIELD_PATTERN.exec(schema);
+    if (!EXTRACT_TYPES.includes(type)) {
+      throw new TypeError(`Unknown type '${type}' in ${path}, expected one of ${EXTRACT_TYPES.join(', ')}`);
+    }
+    return { selector: selector.trim() || undefined, attribute, type };
+  }
+
+  if (Array.isArray(schema)) {
+    if (schema.length !== 1) {
+      throw new TypeError(`${path} must list exactly one schema for its items`);
+    }
+    const items = toExtractSchema(schema[0], `${path}[0]`);
+    if (items.all) {
+      throw new TypeError(`${path} can't be a list of lists`);
+    }
+    if (items.fields && items.root === undefined) {
+      throw new TypeError(`${path}[0] needs a _root selector to match each item`);
+    }
+    return { ...items, all: true };
+  }
+
+  if (schema && typeof schema === 'object') {
+    const { _root: root, ...rest } = schema;
+    if (root !== undefined && typeof root !== 'string') {
+      throw new TypeError(`${path}._root must be a CSS selector`);
+    }
+    const fields = {};
+    for (const [key, field] of Object.entries(rest)) {
+      fields[key] = toExtractSchema(field, `${path}.${key}`);
+    }
+    return { root, fields };
+  }
+
+  throw new TypeError(`Invalid schema in ${path}: ${JSON.stringify(schema)}`);
+}
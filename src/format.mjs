@@ -0,0 +1,159 @@
+/**
+ * Output formats of render(). Converting uses jsdom and turndown, which are
+ * only loaded when a format other than html is asked for.
+ */
+
+export const FORMATS = ['html', 'text', 'markdown', 'json'];
+
+// Elements whose content is never part of the text or markdown
+const IGNORED_ELEMENTS = ['head', 'title', 'meta', 'link', 'script', 'style', 'noscript', 'template'];
+
+// Elements that start on a new line in plain text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul',
+]);
+
+// Elements that start on a new line without a blank line before the next one
+const LINE_ELEMENTS = new Set(['dd', 'dt', 'li', 'option', 'tr']);
+
+/**
+ * Converts what a render captured into the requested format.
+ *
+ * @param {string} format - One of FORMATS
+ * @param {Object} capture
+ * @param {string|null} capture.html - The captured HTML, or null when `selector` matched nothing
+ * @param {string[]} [capture.elements] - HTML of each `selectorAll` match
+ * @param {string} capture.url - URL links and images are resolved against
+ * @param {string} capture.title - Title of the document
+ * @returns {Promise<string|string[]|Object|null>} The converted content; `json` gives an object
+ */
+export async function formatOutput(format, { html, elements, url, title }) {
+  if (format === 'html') {
+    return elements ?? html;
+  }
+  if (!elements && html === null) {
+    return null;
+  }
+
+  const { document, turndown } = await createConverter(url);
+
+  const convert = (source) => {
+    const container = document.createElement('div');
+    container.innerHTML = source;
+    clean(container);
+
+    switch (format) {
+      case 'text':
+        return toText(container);
+      case 'markdown':
+        return turndown.turndown(container);
+      default:
+        return { html: source, text: toText(container), markdown: turndown.turndown(container) };
+    }
+  };
+
+  if (format === 'json') {
+    return elements
+      ? { url, title, elements: elements.map(convert) }
+      : { url, title, ...convert(html) };
+  }
+  return elements ? elements.map(convert) : convert(html);
+}
+
+/**
+ * Creates the document fragments are parsed in, with the page URL as its
+ * base, and the markdown converter.
+ *
+ * @private
+ */
+async function createConverter(url) {
+  const [{ JSDOM }, { default: TurndownService }] = await Promise.all([
+    import('jsdom'),
+    import('turndown'),
+  ]);
+
+  let dom;
+  try {
+    dom = new JSDOM('', { url });
+  } catch {
+    // URLs jsdom can't use as a base, such as data: URLs
+    dom = new JSDOM('');
+  }
+
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+  });
+
+  return { document: dom.window.document, turndown };
+}
+
+/**
+ * Removes elements without readable content and makes links and image
+ * sources absolute, so they still work outside the page.
+ *
+ * @private
+ */
+function clean(container) {
+  for (const el of container.querySelectorAll(IGNORED_ELEMENTS.join(','))) {
+    el.remove();
+  }
+  for (const el of container.querySelectorAll('a[href]')) {
+    el.setAttribute('href', el.href);
+  }
+  for (const el of container.querySelectorAll('img[src]')) {
+    el.setAttribute('src', el.src);
+  }
+}
+
+/**
+ * Extracts readable text: whitespace is collapsed, block elements and <br>
+ * start new lines, paragraphs are separated by a blank line, and table
+ * cells by tabs.
+ *
+ * @param {Element} root - Element whose text is extracted
+ * @returns {string}
+ */
+export function toText(root) {
+  const parts = [];
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(node.data.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== 1) {
+      return;
+    }
+    if (node.localName === 'br') {
+      parts.push('\n');
+      return;
+    }
+    if (node.localName === 'pre') {
+      parts.push('\n', node.textContent, '\n');
+      return;
+    }
+
+    const block = BLOCK_ELEMENTS.has(node.localName);
+    if (block || LINE_ELEMENTS.has(node.localName)) parts.push('\n');
+    for (const child of node.childNodes) {
+      walk(child);
+    }
+    if (block) parts.push('\n');
+    if (node.localName === 'td' || node.localName === 'th') parts.push('\t');
+  };
+
+  walk(root);
+
+  return parts
+    .join('')
+    .split('\n')
+    .map((line) => line.replace(/^[ \t]+|[ \t]+$/g, '').replace(/ ?\t ?/g, '\t'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
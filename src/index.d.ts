@@ -1,3 +1,225 @@
+/**
+ * A network request made by the page while rendering, the document and the
+ * resources of its markup included
+ */
+export interface InterceptedRequest {
+  /** Absolute URL of the request */
+  url: string;
+
+  /** HTTP method */
+  method: string;
+
+  /** Request headers the engine sends (lowercased names) */
+  headers: Record<string, string>;
+
+  /**
+   * What the request is for, from the `Sec-Fetch-Dest` header the engine
+   * sends, or else guessed from the `Accept` header and the URL. Requests
+   * made with fetch() or XMLHttpRequest are 'fetch'.
+   */
+  resourceType: 'document' | 'stylesheet' | 'script' | 'image' | 'font' | 'media' | 'fetch' | 'other';
+
+  /** Request body as text, when there is one */
+  postData?: string;
+}
+
+/**
+ * A synthetic response used to fulfill an intercepted request
+ */
+export interface FulfillResponse {
+  action?: 'fulfill';
+
+  /** @default 200 */
+  status?: number;
+
+  headers?: HeadersInit;
+
+  body?: string | Uint8Array;
+}
+
+/**
+ * What to do with an intercepted request. Returning nothing continues it.
+ */
+export type RequestDecision =
+  | void
+  | 'continue'
+  | 'abort'
+  | { action: 'continue' | 'abort' }
+  | FulfillResponse;
+
+/**
+ * Requests to block while the page loads
+ */
+export interface BlockOptions {
+  /**
+   * Resource types to block. The engine blocks `fetch` and `xhr` requests
+   * together on macOS and Linux, and doesn't block them on Windows.
+   */
+  resourceTypes?: Array<'image' | 'font' | 'media' | 'stylesheet' | 'script' | 'document' | 'fetch' | 'xhr'>;
+
+  /**
+   * URL patterns to block. `*` matches any run of characters; a pattern
+   * without `*` matches anywhere in the URL.
+   */
+  urlPatterns?: string[];
+}
+
+/**
+ * A console message or uncaught error from the page
+ */
+export interface ConsoleMessage {
+  /** Console method, or 'pageerror' for uncaught errors and unhandled promise rejections */
+  type: 'log' | 'info' | 'warn' | 'error' | 'debug' | 'pageerror';
+
+  /** The message, with the console arguments joined by spaces */
+  text: string;
+
+  /** Script location of an uncaught error */
+  url?: string;
+  line?: number;
+  column?: number;
+}
+
+/**
+ * Options for capturing an image of the page
+ */
+export interface ScreenshotOptions {
+  /**
+   * Capture the whole document instead of the viewport
+   * @default false
+   */
+  fullPage?: boolean;
+
+  /**
+   * Area of the document to capture, in CSS pixels
+   */
+  clip?: { x: number; y: number; width: number; height: number };
+
+  /**
+   * CSS selector of the element to capture
+   */
+  selector?: string;
+
+  /**
+   * Image format
+   * @default 'png'
+   */
+  type?: 'png' | 'jpeg';
+
+  /**
+   * JPEG quality from 0 to 100
+   * @default 80
+   */
+  quality?: number;
+}
+
+/**
+ * A CSS length: numbers are pixels, strings may use px, in, cm or mm
+ */
+export type PdfLength = number | string;
+
+/**
+ * Options for printing the page to PDF
+ */
+export interface PdfOptions {
+  /**
+   * Paper format
+   * @default 'A4'
+   */
+  format?: 'Letter' | 'Legal' | 'Tabloid' | 'Ledger' | 'A0' | 'A1' | 'A2' | 'A3' | 'A4' | 'A5' | 'A6';
+
+  /**
+   * Paper width, overriding format
+   */
+  width?: PdfLength;
+
+  /**
+   * Paper height, overriding format
+   */
+  height?: PdfLength;
+
+  /**
+   * Print in landscape orientation
+   * @default false
+   */
+  landscape?: boolean;
+
+  /**
+   * Page margins
+   * @default 0
+   */
+  margin?: { top?: PdfLength; right?: PdfLength; bottom?: PdfLength; left?: PdfLength };
+
+  /**
+   * Print background colors and images
+   * @default false
+   */
+  printBackground?: boolean;
+}
+
+/**
+ * Strategies of the `waitUntil` render option
+ */
+export type WaitUntil = 'domcontentloaded' | 'load' | 'networkidle0' | 'networkidle2' | 'domstable';
+
+/**
+ * A condition to wait for: a CSS selector, elements matched by CSS selector,
+ * XPath and/or text, a predicate polled in the page, or a combination.
+ * An array means all of its conditions; a function is a predicate.
+ */
+export type WaitCondition =
+  | string
+  | ElementCondition
+  | { function: (() => unknown) | string; polling?: number }
+  | { any: WaitCondition[] }
+  | { all: WaitCondition[] }
+  | WaitCondition[]
+  | (() => unknown);
+
+/**
+ * Elements to wait for. Without `selector` or `xpath`, `text` is looked for
+ * in the whole page.
+ */
+export interface ElementCondition {
+  /** CSS selector of the elements */
+  selector?: string;
+
+  /** XPath expression of the elements, instead of `selector` */
+  xpath?: string;
+
+  /** Text the elements must contain */
+  text?: string;
+
+  /** Only count elements that are rendered with a size and not `visibility: hidden` */
+  visible?: boolean;
+
+  /** Wait until no matching element is visible, or none exists */
+  hidden?: boolean;
+
+  /**
+   * Minimum number of matching elements
+   * @default 1
+   */
+  count?: number;
+}
+
+/**
+ * A step of the `actions` render option
+ */
+export type Action =
+  /** Clicks the first element matching a selector */
+  | { click: string }
+  /** Types text into an input, textarea or contenteditable element */
+  | { type: [selector: string, text: string] }
+  /** Selects the options of a <select> by value */
+  | { select: [selector: string, value: string | string[]] }
+  /** Scrolls to the top, the bottom, a vertical offset in pixels, or an element */
+  | { scroll: 'top' | 'bottom' | number | string }
+  /** Waits until an element matches a selector, at most `timeout` milliseconds */
+  | { waitFor: WaitCondition; timeout?: number }
+  /** Waits a number of milliseconds */
+  | { wait: number };
+
 /**
  * Options for rendering a page with JavaScript execution
  */
@@ -9,19 +231,558 @@ export interface RenderOptions {
   timeout?: number;
 
   /**
-   * CSS selector to wait for before capturing HTML
+   * CSS selector to wait for before capturing HTML, or a richer wait
+   * condition such as `{ selector: '.item', visible: true, count: 10 }`
+   */
+  waitFor?: WaitCondition;
+
+  /**
+   * Predicate polled in the page until it returns a truthy value, or a
+   * promise of one. A string is evaluated as an expression.
+   */
+  waitForFunction?: (() => unknown) | string;
+
+  /**
+   * How often to call `waitForFunction`, in milliseconds
+   * @default 100
+   */
+  polling?: number;
+
+  /**
+   * Text to wait for in the page
+   */
+  waitForText?: string;
+
+  /**
+   * When the page counts as ready: at DOMContentLoaded, at the load event,
+   * once no fetch/XHR request (networkidle0) or at most two (networkidle2)
+   * have been in flight for `idleTime`, or once the DOM hasn't changed for
+   * `idleTime` (domstable). The idle strategies start counting at load.
+   * @default 'load'
    */
-  waitFor?: string;
+  waitUntil?: WaitUntil;
 
   /**
-   * CSS selector to extract (returns only matching element's HTML)
+   * Quiet period of the idle `waitUntil` strategies, in milliseconds
+   * @default 500
+   */
+  idleTime?: number;
+
+  /**
+   * Capture when the page calls `window.fetchWithRender.ready(payload?)`,
+   * ignoring `waitUntil`, `waitFor`, `waitForFunction` and `waitForText`
+   * @default false
+   */
+  waitForSignal?: boolean;
+
+  /**
+   * CSS selector to extract (returns only the first matching element's
+   * HTML, or null when nothing matches)
    */
   selector?: string;
 
+  /**
+   * CSS selector of elements to extract; render() resolves with an array
+   * with one entry per match
+   */
+  selectorAll?: string;
+
+  /**
+   * Extract every match of `selector`, like `selectorAll`
+   * @default false
+   */
+  all?: boolean;
+
+  /**
+   * What to extract from each element matching `selector` or `selectorAll`
+   * @default 'outerHTML'
+   */
+  property?: 'outerHTML' | 'innerHTML' | 'textContent';
+
+  /**
+   * Format of what render() resolves with: the captured HTML (the page, or
+   * the `selector`/`selectorAll` matches) as is, as readable text, as
+   * markdown, or as an object with all three. Links and image sources are
+   * made absolute.
+   * @default 'html'
+   */
+  format?: OutputFormat;
+
+  /**
+   * Also list the links, images, scripts, stylesheets, iframes and form
+   * actions of the page, and the resources it requested; returned as
+   * `assets` by renderDetailed()
+   * @default false
+   */
+  assets?: boolean;
+
+  /**
+   * With 'article', render() resolves with the main content of the page and
+   * its metadata instead of HTML; `format` 'text' or 'markdown' converts the
+   * content. Can't be combined with `selector`, `selectorAll` or `extract`.
+   * @default 'page'
+   */
+  mode?: 'page' | 'article';
+
+  /**
+   * Schema of an object to build from the rendered DOM; render() resolves
+   * with the object instead of HTML
+   *
+   * @example
+   * { title: 'h1', price: '.price | number', links: ['a@href'],
+   *   items: [{ _root: '.card', name: '.name', url: 'a@href' }] }
+   */
+  extract?: ExtractSchema;
+
   /**
    * JavaScript code to execute before capturing HTML
    */
   script?: string;
+
+  /**
+   * Steps run in order once the page is ready, before waiting for
+   * `waitFor`. A failing step rejects with an ActionError.
+   */
+  actions?: Action[];
+
+  /**
+   * Also send the originating request headers on same-origin fetch/XHR
+   * requests made by the page (the main navigation always gets them), and
+   * store the cookies of the `Cookie` header for the page's origin, which
+   * the engine then sends with all of the page's requests to it
+   * @default false
+   */
+  subresourceHeaders?: boolean;
+
+  /**
+   * Called for each request the page makes, the document and the resources
+   * of its markup included, which the WebView sends through a local proxy.
+   * Must return its decision synchronously. WebSocket connections are let
+   * through without asking. Renders with a hook run in the calling process;
+   * on macOS, they need macOS 14 or later.
+   */
+  onRequest?: (request: InterceptedRequest) => RequestDecision;
+
+  /**
+   * Called with each console message and uncaught error as the page
+   * produces it. Errors thrown by the callback are ignored.
+   */
+  onConsole?: (message: ConsoleMessage) => void;
+
+  /**
+   * Requests to block while the page loads
+   */
+  block?: BlockOptions;
+
+  /**
+   * Also capture an image of the page, returned by renderDetailed()
+   */
+  screenshot?: ScreenshotOptions;
+
+  /**
+   * Also print the page to PDF, returned by renderDetailed()
+   */
+  pdf?: PdfOptions;
+
+  /**
+   * Where the page renders: in this process, in a new worker process, or
+   * in a pool of worker processes. Defaults to what setIsolation() set.
+   */
+  isolation?: IsolationMode;
+
+  /**
+   * Pool of worker processes to render in, instead of the default shared
+   * pool; implies isolation 'pool'
+   */
+  pool?: RenderPool;
+
+  /**
+   * Cancels the render when it aborts: the window closes, or the worker
+   * process is stopped, and the call rejects with the reason of the signal,
+   * an `AbortError` by default. The signal passed to fetch cancels it too.
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Where renders run:
+ * - 'inline': the WebView event loop runs in this process, in slices so
+ *   Node stays responsive
+ * - 'process': a worker process is started for each render
+ * - 'pool': a RenderPool of long-lived worker processes
+ */
+export type IsolationMode = 'inline' | 'process' | 'pool';
+
+/**
+ * Options for a RenderPool
+ */
+export interface RenderPoolOptions {
+  /**
+   * Most worker processes, and so renders at the same time
+   * @default 2
+   */
+  size?: number;
+
+  /**
+   * Renders after which a worker is replaced
+   * @default 100
+   */
+  maxRendersPerWorker?: number;
+
+  /**
+   * How often idle workers are checked, in milliseconds; 0 disables checks
+   * @default 30000
+   */
+  healthCheckInterval?: number;
+}
+
+/**
+ * Worker processes that stay alive to render many pages. Each worker
+ * renders one page at a time, and is replaced after `maxRendersPerWorker`
+ * renders, when it crashes or stops answering during a render, and when it
+ * fails a health check. Idle workers don't keep Node running.
+ */
+export class RenderPool {
+  constructor(options?: RenderPoolOptions);
+
+  /** Most worker processes of the pool */
+  readonly size: number;
+
+  /** Number of worker processes running, busy or idle */
+  readonly workers: number;
+
+  /** Process ids of the worker processes running */
+  readonly pids: number[];
+
+  /** Number of renders waiting for a worker */
+  readonly pending: number;
+
+  /** Whether close() was called */
+  readonly closed: boolean;
+
+  /**
+   * Stops accepting renders, lets the renders already queued finish, then
+   * stops the workers. Renders using the pool afterwards reject.
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * How long each phase of a render took, in milliseconds. Phases the page
+ * never reached are undefined.
+ */
+export interface RenderTimings {
+  /** From the start of the render to DOMContentLoaded, including WebView creation */
+  navigation?: number;
+
+  /** From DOMContentLoaded to the load event */
+  load?: number;
+
+  /** From the load event until the wait conditions held and the HTML was captured */
+  waitFor?: number;
+
+  /** The whole render, including any screenshot or PDF */
+  total: number;
+}
+
+/**
+ * Schema of the `extract` option:
+ *
+ * - `'selector@attribute | type'` reads the text of the first match, or an
+ *   attribute (`@html` for its inner HTML); URL attributes such as href and
+ *   src are made absolute. Without a selector it reads the element in scope.
+ *   The type is `string` (default), `number` or `int` (the first number in
+ *   the value), `boolean` (whether it matched) or `date` (ISO string).
+ *   Values that don't match are null.
+ * - `[schema]` reads every match into an array
+ * - an object reads each of its keys; `_root` scopes them to the first
+ *   match of a selector (null without one), or to each match in an array
+ */
+export type ExtractSchema = string | [ExtractSchema] | { _root?: string; [key: string]: ExtractSchema | undefined };
+
+/**
+ * Main content of a page, returned for `mode: 'article'`. Metadata that
+ * can't be found is null.
+ */
+export interface Article {
+  title: string | null;
+
+  /** Author(s) of the article */
+  byline: string | null;
+
+  /** Publication time, as given by the page */
+  publishedTime: string | null;
+
+  /** HTML of the article body, or its text or markdown with `format` */
+  content: string;
+
+  /** Readable text of the article body */
+  textContent: string;
+
+  /** Description of the article, or its first paragraph */
+  excerpt: string | null;
+
+  siteName: string | null;
+}
+
+/**
+ * Metadata of the rendered document, as it was when the HTML was captured
+ */
+export interface PageMetadata {
+  /** `document.title` */
+  title: string;
+
+  /**
+   * Content of each `<meta>` tag by its property, name, http-equiv or
+   * itemprop; tags repeated under one key give arrays
+   */
+  meta: Record<string, string | string[]>;
+
+  /** The `og:` properties, without the prefix */
+  openGraph: Record<string, string | string[]>;
+
+  /** The `twitter:` properties, without the prefix */
+  twitter: Record<string, string | string[]>;
+
+  /** Each JSON-LD block, parsed; blocks that aren't valid JSON are left out */
+  jsonLd: unknown[];
+
+  /** Absolute URL of the canonical link */
+  canonical: string | null;
+
+  /** Alternate links, such as translations with `hreflang` or feeds */
+  alternates: Array<{ href: string; hreflang?: string; type?: string; media?: string; title?: string }>;
+
+  /** Favicons and touch icons, with absolute URLs */
+  icons: Array<{ href: string; rel: string; sizes?: string; type?: string }>;
+}
+
+/**
+ * What a page links to and loads, returned for the `assets` option. URLs
+ * are absolute and each is listed once, in document order.
+ */
+export interface PageAssets {
+  /** Links of `<a>` and `<area>` elements, except `javascript:` ones */
+  links: Array<{
+    url: string;
+    text: string;
+    /** Tokens of the `rel` attribute */
+    rel: string[];
+    /** Whether `rel` includes nofollow */
+    nofollow: boolean;
+    /** Whether the link leads to another origin */
+    external: boolean;
+  }>;
+
+  images: Array<{ url: string; alt: string | null }>;
+  scripts: string[];
+  stylesheets: string[];
+  iframes: string[];
+
+  /** Where each form submits to */
+  forms: Array<{ url: string; method: string }>;
+
+  /**
+   * Resources the WebView requested while loading, from the Resource
+   * Timing API, with the kind of element or API that requested them
+   */
+  requests: Array<{ url: string; type: string }>;
+}
+
+/**
+ * Output formats of render()
+ */
+export type OutputFormat = 'html' | 'text' | 'markdown' | 'json';
+
+/**
+ * Captured HTML in each output format
+ */
+export interface FormattedContent {
+  html: string;
+  text: string;
+  markdown: string;
+}
+
+/**
+ * What render() resolves with for `format: 'json'`: the page or `selector`
+ * match in each format, or with `selectorAll`, each match in `elements`
+ */
+export interface FormattedPage extends Partial<FormattedContent> {
+  /** URL of the document when the HTML was captured */
+  url: string;
+
+  /** Title of the document */
+  title: string;
+
+  /** Each `selectorAll` match, in document order */
+  elements?: FormattedContent[];
+}
+
+/**
+ * Result of renderDetailed()
+ */
+export interface RenderResult {
+  /** The rendered HTML; null when `selector` matched nothing, or with `selectorAll` */
+  html: string | null;
+
+  /** What `selectorAll` extracted from each match, in document order */
+  elements?: string[];
+
+  /** URL of the document when the HTML was captured */
+  finalUrl: string;
+
+  /** Title of the document */
+  title: string;
+
+  /** HTTP status of the fetched response */
+  status: number;
+
+  /** How long each phase of the render took */
+  timings: RenderTimings;
+
+  /** Whether the wait conditions held; undefined without `waitFor`, `waitForFunction` or `waitForText` */
+  waitForMatched?: boolean;
+
+  /** Whether the timeout expired and the page was captured as it was */
+  timedOut: boolean;
+
+  /**
+   * Number of resources the `block` option kept out of the fetched body and
+   * its policy refused; those the engine refused itself aren't counted
+   */
+  blockedRequests: number;
+
+  /** Image of the page, when a screenshot was requested */
+  screenshot?: Buffer;
+
+  /** PDF of the page, when one was requested */
+  pdf?: Buffer;
+
+  /** Console messages and uncaught errors, in the order the page produced them */
+  console: ConsoleMessage[];
+
+  /** Uncaught errors and unhandled promise rejections (the 'pageerror' console messages) */
+  errors: ConsoleMessage[];
+
+  /** Payload the page passed to `window.fetchWithRender.ready()`, round-tripped through JSON */
+  signal?: unknown;
+
+  /** What was captured, converted to the requested `format`; null when `selector` matched nothing */
+  content?: string | string[] | FormattedPage | null;
+
+  /** The object built with the `extract` schema */
+  extracted?: unknown;
+
+  /** The main content and metadata, with `mode: 'article'` */
+  article?: Article;
+
+  /** Meta tags, OpenGraph and Twitter card properties, JSON-LD and links of the document */
+  metadata: PageMetadata;
+
+  /** Links and resources of the page, with the `assets` option */
+  assets?: PageAssets;
+}
+
+/**
+ * Options for RenderableResponse.open()
+ */
+export type OpenOptions = Pick<
+  RenderOptions,
+  | 'waitFor'
+  | 'waitForFunction'
+  | 'polling'
+  | 'waitForText'
+  | 'waitUntil'
+  | 'idleTime'
+  | 'waitForSignal'
+  | 'script'
+  | 'subresourceHeaders'
+  | 'onConsole'
+  | 'block'
+> & {
+  /**
+   * Maximum time for the page to load, and default timeout of each page
+   * call, in milliseconds
+   * @default 5000
+   */
+  timeout?: number;
+};
+
+/**
+ * Options for renderMany(): the rendering options of render(), applied to
+ * every page, without the `onRequest` and `onConsole` hooks and `isolation`
+ */
+export type RenderManyOptions = Omit<RenderOptions, 'onRequest' | 'onConsole' | 'isolation'> & {
+  /**
+   * Most pages loading at the same time
+   * @default 4
+   */
+  concurrency?: number;
+
+  /**
+   * Pool of worker processes to render the pages in, instead of a worker
+   * process started for the iteration
+   */
+  pool?: RenderPool;
+
+  /** Headers to send when navigating to each page */
+  headers?: HeadersInit;
+};
+
+/**
+ * Outcome of one page of renderMany(), like an entry of Promise.allSettled()
+ */
+export type RenderSettledResult<T> = {
+  /** Position of the URL in the list */
+  index: number;
+  /** The URL as given */
+  url: string;
+} & (
+  | { status: 'fulfilled'; value: T }
+  | { status: 'rejected'; reason: Error }
+);
+
+/**
+ * A page kept open in a native WebView across calls, returned by
+ * RenderableResponse.open(). Close it when done.
+ */
+export class Page {
+  /** URL of the page as of the last goto() */
+  readonly url: string;
+
+  /**
+   * Evaluates a function or expression in the page. Promises are awaited
+   * and the value comes back through JSON.
+   */
+  evaluate<T, A extends unknown[]>(
+    pageFunction: (...args: A) => T | Promise<T>,
+    ...args: A
+  ): Promise<T>;
+  evaluate(expression: string): Promise<unknown>;
+
+  /** Clicks the first element matching a selector */
+  click(selector: string): Promise<void>;
+
+  /**
+   * Types text into the first element matching a selector, one character
+   * at a time, firing keyboard and input events
+   */
+  type(selector: string, text: string): Promise<void>;
+
+  /** Waits until an element matches a selector, or a wait condition holds */
+  waitFor(condition: WaitCondition, options?: { timeout?: number }): Promise<void>;
+
+  /** Returns the current HTML of the page */
+  content(): Promise<string>;
+
+  /**
+   * Navigates to a URL, resolved against the current one, and waits until
+   * the new page has loaded
+   */
+  goto(url: string, options?: { timeout?: number }): Promise<void>;
+
+  /** Closes the page. Calling it again does nothing. */
+  close(): Promise<void>;
 }
 
 /**
@@ -29,17 +790,84 @@ export interface RenderOptions {
  * for executing JavaScript and returning the final rendered HTML using a native WebView.
  */
 export class RenderableResponse implements Response {
-  constructor(response: Response);
+  /**
+   * @param response - The response to wrap
+   * @param init - Options of the request that produced the response; its
+   * headers are sent when rendering
+   */
+  constructor(response: Response, init?: RequestInit);
 
   /**
    * Renders the page using a native WebView and returns the final HTML
    * after JavaScript execution.
    *
    * @param options - Rendering options
-   * @returns The rendered HTML
+   * @returns The rendered HTML; with `selector`, the match or null; with
+   * `selectorAll`, what was extracted from each match; converted to `format`;
+   * with `extract`, the extracted object; with `mode: 'article'`, the article
    */
+  render(options: RenderOptions & { mode: 'article' }): Promise<Article>;
+  render<T = any>(options: RenderOptions & { extract: ExtractSchema }): Promise<T>;
+  render(options: RenderOptions & { format: 'json' }): Promise<FormattedPage | null>;
+  render(options: RenderOptions & ({ selectorAll: string } | { all: true })): Promise<string[]>;
+  render(options: RenderOptions & { selector: string }): Promise<string | null>;
   render(options?: RenderOptions): Promise<string>;
 
+  /**
+   * Renders the page like render(), but resolves with details about the
+   * render alongside the HTML. When the timeout expires, the page is
+   * captured as it is with `timedOut` set, instead of rejecting.
+   *
+   * @param options - Rendering options
+   * @returns The render result
+   */
+  renderDetailed(options?: RenderOptions): Promise<RenderResult>;
+
+  /**
+   * Renders the page and captures an image of it from the same WebView.
+   * Rendering options such as timeout, waitFor and script apply too.
+   *
+   * @param options - Screenshot and rendering options
+   * @returns The image
+   */
+  screenshot(
+    options?: ScreenshotOptions & Omit<RenderOptions, 'selector' | 'screenshot'>
+  ): Promise<Buffer>;
+
+  /**
+   * Renders the page and evaluates a function or expression in it, once the
+   * page is ready as it would be for render(). Promises are awaited and the
+   * value comes back through JSON, so it must be JSON-serializable.
+   *
+   * @param pageFunction - Function to call in the page, or an expression
+   * @param args - JSON-serializable arguments passed to the function
+   * @returns The value
+   */
+  evaluate<T, A extends unknown[]>(
+    pageFunction: (...args: A) => T | Promise<T>,
+    ...args: A
+  ): Promise<T>;
+  evaluate(expression: string): Promise<unknown>;
+
+  /**
+   * Renders the page and prints it to PDF from the same WebView.
+   * Rendering options such as timeout, waitFor and script apply too.
+   *
+   * @param options - PDF and rendering options
+   * @returns The PDF document
+   */
+  pdf(options?: PdfOptions & Omit<RenderOptions, 'selector' | 'pdf'>): Promise<Buffer>;
+
+  /**
+   * Opens the page in a native WebView that stays open, to interact with
+   * it across several calls. Resolves once the page is ready as it would be
+   * for render().
+   *
+   * @param options - Page options
+   * @returns The open page
+   */
+  open(options?: OpenOptions): Promise<Page>;
+
   // Standard Response properties and methods
   readonly url: string;
   readonly status: number;
@@ -82,3 +910,63 @@ declare function fetchWithRender(
 ): Promise<RenderableResponse>;
 
 export default fetchWithRender;
+
+/**
+ * Sets where renders run when they don't pass the `isolation` option.
+ *
+ * @param mode - The mode; without one, restores the default, 'pool'
+ */
+export function setIsolation(mode?: IsolationMode): void;
+
+/**
+ * Tells where a render with these options would run. Renders with an
+ * `onRequest` hook run inline, and renders with a `pool` run in it.
+ *
+ * @param options - Rendering options
+ * @returns The isolation mode
+ */
+export function getIsolation(options?: RenderOptions): IsolationMode;
+
+/**
+ * Renders many pages, several at a time, in hidden windows on one event
+ * loop in a worker process, or in the workers of `pool`. Yields the outcome
+ * of each page as it finishes, with what render() would resolve with.
+ * setIsolation() doesn't apply.
+ *
+ * @param urls - URLs of the pages, navigated to by the WebView
+ * @param options - Concurrency and rendering options
+ * @returns The outcomes, in the order the pages finish
+ *
+ * @example
+ * ```ts
+ * import { renderMany } from 'fetch-with-render';
+ *
+ * for await (const page of renderMany(urls, { concurrency: 8 })) {
+ *   if (page.status === 'fulfilled') console.log(page.url, page.value.length);
+ * }
+ * ```
+ */
+export function renderMany(
+  urls: Iterable<string | URL>,
+  options: RenderManyOptions & { mode: 'article' }
+): AsyncGenerator<RenderSettledResult<Article>, void>;
+export function renderMany<T = any>(
+  urls: Iterable<string | URL>,
+  options: RenderManyOptions & { extract: ExtractSchema }
+): AsyncGenerator<RenderSettledResult<T>, void>;
+export function renderMany(
+  urls: Iterable<string | URL>,
+  options: RenderManyOptions & { format: 'json' }
+): AsyncGenerator<RenderSettledResult<FormattedPage | null>, void>;
+export function renderMany(
+  urls: Iterable<string | URL>,
+  options: RenderManyOptions & ({ selectorAll: string } | { all: true })
+): AsyncGenerator<RenderSettledResult<string[]>, void>;
+export function renderMany(
+  urls: Iterable<string | URL>,
+  options: RenderManyOptions & { selector: string }
+): AsyncGenerator<RenderSettledResult<string | null>, void>;
+export function renderMany(
+  urls: Iterable<string | URL>,
+  options?: RenderManyOptions
+): AsyncGenerator<RenderSettledResult<string>, void>;
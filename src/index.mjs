@@ -1,4 +1,7 @@
-import { RenderableResponse } from './response.mjs';
+import { RenderableResponse, anySignal, getIsolation, setIsolation } from './response.mjs';
+import { Page } from './page.mjs';
+import { renderMany } from './render-many.mjs';
+import { RenderPool } from './render-pool.mjs';
 
 /**
  * A drop-in replacement for Node's fetch that adds a .render() method
@@ -21,11 +24,21 @@ async function fetchWithRender(resource, options) {
   // Use Node's native fetch
   const response = await fetch(resource, options);
 
+  // Keep the request options so render() can send the same headers.
+  // Like fetch, headers in options replace those of a Request resource;
+  // the signals of both stop the render.
+  const request = resource instanceof Request ? resource : undefined;
+  const init = {
+    ...options,
+    headers: options?.headers ?? request?.headers,
+    signal: anySignal([request?.signal, options?.signal]),
+  };
+
   // Wrap in RenderableResponse
-  return new RenderableResponse(response);
+  return new RenderableResponse(response, init);
 }
 
 export default fetchWithRender;
 
-// Also export the RenderableResponse class for advanced usage
-export { RenderableResponse };
+// Also export the RenderableResponse, Page and RenderPool classes for advanced usage
+export { RenderableResponse, Page, RenderPool, renderMany, getIsolation, setIsolation };
@@ -1,17 +1,25 @@
 #![deny(clippy::all)]
 
+mod capture;
+#[cfg(any(target_os = "linux", target_os = "macos"))]
+mod load;
+mod proxy;
+
+use capture::{CaptureCallback, CaptureRequest};
 use napi::bindgen_prelude::*;
 use napi_derive::napi;
-use serde::Deserialize;
-use std::cell::RefCell;
+use serde::{Deserialize, Serialize};
+use serde_json::json;
+use std::cell::{Cell, RefCell};
 use std::collections::HashMap;
 use std::rc::Rc;
 use std::sync::mpsc;
-use std::time::Duration;
+use std::time::{Duration, Instant};
 use tao::event::{Event, WindowEvent};
 use tao::event_loop::{ControlFlow, EventLoop};
 use tao::platform::run_return::EventLoopExtRunReturn;
 use tao::window::{Window, WindowBuilder, WindowId};
+use wry::http::{HeaderMap, HeaderName, HeaderValue};
 use wry::WebView;
 use wry::WebViewBuilder;
 
@@ -26,26 +34,405 @@ struct RenderState {
     #[allow(dead_code)] // Must keep window alive for the duration of the render
     window: Window,
     webview: Rc<RefCell<WebView>>,
+    #[allow(dead_code)] // Keeps the WebView trusting the request proxy
+    proxy_trust: Option<proxy::ProxyTrust>,
+    url: String,
     html_result: Rc<RefCell<Option<String>>>,
-    result_tx: mpsc::Sender<std::result::Result<String, RenderError>>,
-    start_time: std::time::Instant,
+    page: Rc<RefCell<Option<PageDetails>>>,
+    evaluate: bool,
+    evaluation: Rc<RefCell<Option<Evaluation>>>,
+    action_error: Rc<RefCell<Option<String>>>,
+    milestones: Rc<RefCell<Milestones>>,
+    console: Rc<RefCell<Vec<ConsoleMessage>>>,
+    console_reported: Cell<usize>,
+    block: BlockOptions,
+    blocked_requests: Rc<Cell<u32>>,
+    screenshot: Option<ScreenshotOptions>,
+    capture: Rc<RefCell<Option<CaptureRequest>>>,
+    snapshot: PendingCapture,
+    pdf: Option<PdfOptions>,
+    printout: PendingCapture,
+    result_tx: mpsc::Sender<std::result::Result<RenderResult, RenderError>>,
+    start_time: Instant,
     timeout_duration: Duration,
+    extract_on_timeout: bool,
+    timed_out: bool,
+    /// Pages opened with `open_page` stay alive between captures
+    persistent: bool,
+    /// Waiting for the page to be ready and captured
+    capturing: bool,
+    /// Waiting for a `page_evaluate` expression
+    evaluating: bool,
+}
+
+/// What the page reported about itself along with its HTML
+#[derive(Deserialize, Default)]
+#[serde(rename_all = "camelCase")]
+struct PageDetails {
+    url: String,
+    title: String,
+    wait_for_matched: Option<bool>,
+    signal: Option<String>,
+    selector_matched: Option<bool>,
+    elements: Option<Vec<String>>,
+    metadata: Option<String>,
+    assets: Option<String>,
+}
+
+/// Outcome of the `evaluate` expression: the JSON text of its value, which
+/// is absent for `undefined`, or the error it threw
+#[derive(Deserialize)]
+struct Evaluation {
+    json: Option<String>,
+    error: Option<String>,
 }
 
+/// When the page reached each phase, as seen by the IPC handler
+#[derive(Default)]
+struct Milestones {
+    started: Option<Instant>,
+    dom_content_loaded: Option<Instant>,
+    load: Option<Instant>,
+    ready: Option<Instant>,
+}
+
+/// How long to wait for the page to hand over its HTML once the timeout expired
+const EXTRACT_GRACE: Duration = Duration::from_millis(1000);
+
 #[derive(Deserialize, Default)]
 #[napi(object)]
 pub struct RenderOptions {
     /// Maximum time to wait for rendering in milliseconds
     pub timeout: Option<i64>,
 
-    /// CSS selector to wait for before capturing HTML
-    pub wait_for: Option<String>,
+    /// CSS selector to wait for before capturing HTML, or a wait condition
+    /// as normalized by `toWaitCondition()` in page.mjs
+    pub wait_for: Option<serde_json::Value>,
+
+    /// When the page counts as ready: "domcontentloaded", "load" (default),
+    /// "networkidle0", "networkidle2" or "domstable"
+    pub wait_until: Option<String>,
+
+    /// Milliseconds without network or DOM activity the idle `wait_until`
+    /// strategies wait for (default 500)
+    pub idle_time: Option<u32>,
+
+    /// Capture when the page calls `window.fetchWithRender.ready()`, instead
+    /// of using `wait_until` and `wait_for`
+    pub wait_for_signal: Option<bool>,
 
     /// CSS selector to extract (returns only matching element's HTML)
     pub selector: Option<String>,
 
+    /// CSS selector of elements to extract, returned in `elements` instead of `html`
+    pub selector_all: Option<String>,
+
+    /// What to extract from `selector`/`selector_all` matches: "outerHTML"
+    /// (default), "innerHTML" or "textContent"
+    pub property: Option<String>,
+
+    /// Also list the links, images, scripts, stylesheets, iframes and form
+    /// actions of the page, and the resources it requested, in `assets`
+    pub assets: Option<bool>,
+
     /// JavaScript code to execute before capturing HTML
     pub script: Option<String>,
+
+    /// Steps run in order once the page is ready, before waiting for
+    /// `wait_for` and capturing, such as `{ click: "#more" }` or
+    /// `{ type: ["#q", "shoes"] }`
+    pub actions: Option<Vec<serde_json::Value>>,
+
+    /// Already-fetched document to load instead of navigating to the URL.
+    /// Relative URLs in the document resolve against the URL.
+    pub html: Option<String>,
+
+    /// Request headers from the originating fetch (including Cookie and User-Agent)
+    pub headers: Option<HashMap<String, String>>,
+
+    /// Also send the request headers on same-origin fetch/XHR requests made by the
+    /// page, and store the cookies of the `Cookie` header for its origin
+    pub subresource_headers: Option<bool>,
+
+    /// Requests to block while the page loads
+    pub block: Option<BlockOptions>,
+
+    /// Request proxy of the `onRequest` hook to send every request of the page through
+    pub proxy: Option<ProxyOptions>,
+
+    /// Capture an image of the page once it is ready
+    pub screenshot: Option<ScreenshotOptions>,
+
+    /// Print the page to PDF once it is ready
+    pub pdf: Option<PdfOptions>,
+
+    /// Expression evaluated in the page once the HTML is captured. Its value,
+    /// after awaiting promises, is returned as JSON in `evaluation`.
+    pub evaluate: Option<String>,
+
+    /// When the timeout expires, capture the page as it is instead of
+    /// failing; the result then has `timed_out` set
+    pub extract_on_timeout: Option<bool>,
+}
+
+#[derive(Deserialize, Default, Clone)]
+#[napi(object)]
+pub struct ScreenshotOptions {
+    /// Capture the whole document instead of the viewport
+    pub full_page: Option<bool>,
+
+    /// Area of the document to capture, in CSS pixels
+    pub clip: Option<ScreenshotClip>,
+
+    /// CSS selector of the element to capture
+    pub selector: Option<String>,
+
+    /// Image format: "png" (default) or "jpeg"
+    #[serde(rename = "type")]
+    #[napi(js_name = "type")]
+    pub image_type: Option<String>,
+
+    /// JPEG quality from 0 to 100 (default 80)
+    pub quality: Option<u32>,
+}
+
+#[derive(Deserialize, Serialize, Clone, Copy)]
+#[napi(object)]
+pub struct ScreenshotClip {
+    pub x: f64,
+    pub y: f64,
+    pub width: f64,
+    pub height: f64,
+}
+
+#[derive(Deserialize, Default, Clone)]
+#[napi(object)]
+pub struct PdfOptions {
+    /// Paper width in millimetres
+    pub width: f64,
+
+    /// Paper height in millimetres
+    pub height: f64,
+
+    /// Margins in millimetres (default 0)
+    pub margin_top: Option<f64>,
+    pub margin_right: Option<f64>,
+    pub margin_bottom: Option<f64>,
+    pub margin_left: Option<f64>,
+
+    /// Print background colors and images
+    pub print_background: Option<bool>,
+}
+
+#[derive(Deserialize, Default, Clone)]
+#[napi(object)]
+pub struct BlockOptions {
+    /// Resource types to block: image, font, media, stylesheet, script, document, fetch, xhr
+    pub resource_types: Option<Vec<String>>,
+
+    /// URL patterns to block. `*` matches any run of characters; a pattern
+    /// without `*` matches anywhere in the URL.
+    pub url_patterns: Option<Vec<String>>,
+}
+
+#[derive(Deserialize, Clone)]
+#[napi(object)]
+pub struct ProxyOptions {
+    /// Port the proxy listens on, on 127.0.0.1
+    pub port: u32,
+
+    /// Certificate of the authority issuing the proxy's certificates, as base64 DER
+    pub certificate: String,
+
+    /// SHA-256 hash of the public key of the proxy's certificates, in base64
+    pub public_key_hash: String,
+}
+
+impl BlockOptions {
+    fn blocks_type(&self, resource_type: &str) -> bool {
+        self.resource_types
+            .as_ref()
+            .is_some_and(|types| types.iter().any(|t| t == resource_type))
+    }
+
+    fn blocks_url(&self, url: &str) -> bool {
+        self.url_patterns
+            .as_ref()
+            .is_some_and(|patterns| patterns.iter().any(|p| matches_url_pattern(p, url)))
+    }
+
+    /// Content-Security-Policy that makes the engine refuse the blocked resource
+    /// types, including those referenced directly in the markup
+    fn content_security_policy(&self) -> Option<String> {
+        let directives: Vec<&str> = [
+            ("image", "img-src 'none'"),
+            ("font", "font-src 'none'"),
+            ("media", "media-src 'none'"),
+            ("stylesheet", "style-src 'unsafe-inline'"),
+            ("script", "script-src 'unsafe-inline' 'unsafe-eval'"),
+            ("document", "frame-src 'none'"),
+        ]
+        .iter()
+        .filter(|(resource_type, _)| self.blocks_type(resource_type))
+        .map(|(_, directive)| *directive)
+        .collect();
+
+        if directives.is_empty() {
+            None
+        } else {
+            Some(directives.join("; "))
+        }
+    }
+
+    /// WebKit content rule list that makes the engine refuse the blocked
+    /// resources however they are requested, whether the document was
+    /// fetched or navigated to. WebKit files fetch and XHR requests under
+    /// one type, so blocking either blocks both.
+    #[cfg_attr(not(any(target_os = "linux", target_os = "macos")), allow(dead_code))]
+    fn content_rules(&self) -> Option<String> {
+        let mut resource_types: Vec<&str> = [
+            ("image", "image"),
+            ("font", "font"),
+            ("media", "media"),
+            ("stylesheet", "style-sheet"),
+            ("script", "script"),
+            ("fetch", "raw"),
+            ("xhr", "raw"),
+        ]
+        .iter()
+        .filter(|(resource_type, _)| self.blocks_type(resource_type))
+        .map(|(_, webkit_type)| *webkit_type)
+        .collect();
+        resource_types.dedup();
+
+        let mut rules = Vec::new();
+        if !resource_types.is_empty() {
+            rules.push(json!({
+                "trigger": { "url-filter": ".*", "resource-type": resource_types },
+                "action": { "type": "block" },
+            }));
+        }
+        if self.blocks_type("document") {
+            rules.push(json!({
+                "trigger": {
+                    "url-filter": ".*",
+                    "resource-type": ["document"],
+                    "load-context": ["child-frame"],
+                },
+                "action": { "type": "block" },
+            }));
+        }
+        for pattern in self.url_patterns.as_deref().unwrap_or_default() {
+            rules.push(json!({
+                "trigger": {
+                    "url-filter": url_filter(pattern),
+                    "url-filter-is-case-sensitive": true,
+                },
+                "action": { "type": "block" },
+            }));
+        }
+
+        if rules.is_empty() {
+            return None;
+        }
+        // The page itself always loads
+        rules.push(json!({
+            "trigger": {
+                "url-filter": ".*",
+                "resource-type": ["document"],
+                "load-context": ["top-frame"],
+            },
+            "action": { "type": "ignore-previous-rules" },
+        }));
+        Some(serde_json::Value::Array(rules).to_string())
+    }
+}
+
+/// How long each phase of a render took, in milliseconds
+#[napi(object)]
+pub struct RenderTimings {
+    /// From the start of the render to DOMContentLoaded, including WebView creation
+    pub navigation: Option<f64>,
+
+    /// From DOMContentLoaded to the load event
+    pub load: Option<f64>,
+
+    /// From the load event until `wait_for` matched and the HTML was captured
+    pub wait_for: Option<f64>,
+
+    /// The whole render, including any screenshot or PDF
+    pub total: f64,
+}
+
+/// Result of rendering a page
+#[napi(object)]
+pub struct RenderResult {
+    /// The rendered HTML; absent when `selector` matched nothing, or with `selector_all`
+    pub html: Option<String>,
+
+    /// What `selector_all` extracted from each match, in document order
+    pub elements: Option<Vec<String>>,
+
+    /// URL of the document when the HTML was captured
+    pub final_url: String,
+
+    /// Title of the document
+    pub title: String,
+
+    /// Whether the `wait_for` condition held, when one was given
+    pub wait_for_matched: Option<bool>,
+
+    /// Whether the timeout expired and the page was captured as it was
+    pub timed_out: bool,
+
+    pub timings: RenderTimings,
+
+    /// Number of requests blocked by the `block` option
+    pub blocked_requests: u32,
+
+    /// Image of the page, when a screenshot was requested
+    pub screenshot: Option<Buffer>,
+
+    /// PDF of the page, when one was requested
+    pub pdf: Option<Buffer>,
+
+    /// Console messages and uncaught errors, in the order the page produced them
+    pub console: Vec<ConsoleMessage>,
+
+    /// JSON text of the value of the `evaluate` expression; absent for `undefined`
+    pub evaluation: Option<String>,
+
+    /// JSON text of the payload the page passed to `fetchWithRender.ready()`
+    pub signal: Option<String>,
+
+    /// JSON text of the metadata read from the document: meta tags,
+    /// OpenGraph, Twitter cards, JSON-LD and links
+    pub metadata: Option<String>,
+
+    /// JSON text of the links and resources of the page, with the `assets` option
+    pub assets: Option<String>,
+}
+
+/// A console message or uncaught error from the page
+#[derive(Deserialize, Serialize, Clone)]
+#[napi(object)]
+pub struct ConsoleMessage {
+    /// "log", "info", "warn", "error", "debug", or "pageerror" for uncaught
+    /// errors and unhandled promise rejections
+    #[serde(rename = "type")]
+    #[napi(js_name = "type")]
+    pub message_type: String,
+
+    /// The message, with the console arguments joined by spaces
+    pub text: String,
+
+    /// Script location of an uncaught error
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub url: Option<String>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub line: Option<u32>,
+    #[serde(skip_serializing_if = "Option::is_none")]
+    pub column: Option<u32>,
 }
 
 #[derive(Debug)]
@@ -54,6 +441,11 @@ pub enum RenderError {
     WebViewCreation(String),
     Timeout,
     ScriptExecution(String),
+    Screenshot(String),
+    Pdf(String),
+    Evaluation(String),
+    Action(String),
+    PageClosed,
     Unknown(String),
 }
 
@@ -72,17 +464,216 @@ impl From<RenderError> for napi::Error {
             RenderError::ScriptExecution(msg) => {
                 napi::Error::from_reason(format!("ScriptError: {}", msg))
             }
+            RenderError::Screenshot(msg) => {
+                napi::Error::from_reason(format!("ScreenshotError: {}", msg))
+            }
+            RenderError::Pdf(msg) => napi::Error::from_reason(format!("PdfError: {}", msg)),
+            RenderError::Evaluation(msg) => {
+                napi::Error::from_reason(format!("EvaluationError: {}", msg))
+            }
+            RenderError::Action(msg) => napi::Error::from_reason(format!("ActionError: {}", msg)),
+            RenderError::PageClosed => napi::Error::from_reason("PageClosedError: Page is closed"),
             RenderError::Unknown(msg) => napi::Error::from_reason(format!("UnknownError: {}", msg)),
         }
     }
 }
 
-/// Renders a webpage using a native WebView and returns the final HTML
+/// Opens a page that stays alive across calls, until `page_close`. Returns
+/// the page id once the page is ready, as a render would capture it.
+#[napi]
+pub fn open_page(
+    env: Env,
+    url: String,
+    options: Option<RenderOptions>,
+    on_console: Option<JsFunction>,
+) -> Result<u32> {
+    let opts = options.unwrap_or_default();
+    let timeout_ms = opts.timeout.unwrap_or(5000);
+    let mut report_console = console_reporter(&env, &on_console);
+
+    with_event_loop(|event_loop| {
+        let (window_id, result_rx) = setup_render(event_loop, &url, opts, timeout_ms, true)
+            .map_err(|e| -> napi::Error { e.into() })?;
+
+        run_event_loop(event_loop, RunUntil::Idle, &mut report_console);
+
+        if let Err(e) = receive_result(result_rx) {
+            RENDER_STATES.with(|states| states.borrow_mut().remove(&window_id));
+            return Err(e);
+        }
+
+        let id = NEXT_PAGE_ID.with(|next| next.replace(next.get() + 1));
+        PAGES.with(|pages| pages.borrow_mut().insert(id, window_id));
+        Ok(id)
+    })
+}
+
+/// Navigates an open page to a URL and waits until the new document is ready
+#[napi]
+pub fn page_goto(
+    env: Env,
+    id: u32,
+    url: String,
+    timeout: Option<i64>,
+    on_console: Option<JsFunction>,
+) -> Result<RenderResult> {
+    let window_id = page_window(id)?;
+    let mut report_console = console_reporter(&env, &on_console);
+
+    let result_rx = with_page_state(window_id, |state| {
+        let result_rx = state.restart_capture(&url, to_timeout(timeout));
+        state.webview.borrow().load_url(&url);
+        result_rx
+    })?;
+
+    with_event_loop(|event_loop| {
+        run_event_loop(event_loop, RunUntil::Idle, &mut report_console);
+        receive_result(result_rx)
+    })
+}
+
+/// Evaluates an expression in an open page, like the `evaluate` render
+/// option, and returns the JSON text of its value
+#[napi]
+pub fn page_evaluate(
+    env: Env,
+    id: u32,
+    source: String,
+    timeout: Option<i64>,
+    on_console: Option<JsFunction>,
+) -> Result<Option<String>> {
+    let window_id = page_window(id)?;
+    let mut report_console = console_reporter(&env, &on_console);
+
+    with_page_state(window_id, |state| {
+        state.start_evaluation(&source, to_timeout(timeout))
+    })?;
+
+    with_event_loop(|event_loop| {
+        run_event_loop(event_loop, RunUntil::Idle, &mut report_console);
+    });
+
+    let evaluation = with_page_state(window_id, |state| state.evaluation.borrow_mut().take())?;
+    match evaluation {
+        None => Err(RenderError::Timeout.into()),
+        Some(Evaluation {
+            error: Some(error), ..
+        }) => Err(RenderError::Evaluation(error).into()),
+        Some(evaluation) => Ok(evaluation.json),
+    }
+}
+
+/// A render started with `start_render` that has finished
+#[napi(object)]
+pub struct FinishedRender {
+    /// Id `start_render` returned
+    pub id: u32,
+
+    /// The result, when the render succeeded
+    pub result: Option<RenderResult>,
+
+    /// Message of the error the render failed with
+    pub error: Option<String>,
+}
+
+/// Starts rendering a page without waiting for it, so several pages can
+/// render at once on the shared event loop. Returns an id to find the
+/// render among those `poll_renders` returns.
 #[napi]
-pub fn render_page(url: String, options: Option<RenderOptions>) -> Result<String> {
+pub fn start_render(url: String, options: Option<RenderOptions>) -> Result<u32> {
     let opts = options.unwrap_or_default();
     let timeout_ms = opts.timeout.unwrap_or(5000);
 
+    with_event_loop(|event_loop| {
+        let (window_id, result_rx) = setup_render(event_loop, &url, opts, timeout_ms, false)
+            .map_err(|e| -> napi::Error { e.into() })?;
+
+        let id = NEXT_RENDER_ID.with(|next| next.replace(next.get() + 1));
+        RENDERS.with(|renders| renders.borrow_mut().insert(id, (window_id, result_rx)));
+        Ok(id)
+    })
+}
+
+/// Runs the event loop until at least one of the renders started with
+/// `start_render` finishes, or for at most `slice` milliseconds when given,
+/// and returns the renders that finished. The hook is called with the id
+/// of the render first: `on_console(id, message)`.
+#[napi]
+pub fn poll_renders(
+    env: Env,
+    slice: Option<i64>,
+    on_console: Option<JsFunction>,
+) -> Result<Vec<FinishedRender>> {
+    let deadline = slice.map(|ms| Instant::now() + Duration::from_millis(ms.max(0) as u64));
+
+    // Render ids by window, to tell the hooks which render is calling
+    let render_ids: HashMap<WindowId, u32> = RENDERS.with(|renders| {
+        renders
+            .borrow()
+            .iter()
+            .map(|(id, (window_id, _))| (*window_id, *id))
+            .collect()
+    });
+
+    let mut report_console = |window_id: WindowId, message: &ConsoleMessage| match (
+        &on_console,
+        render_ids.get(&window_id),
+    ) {
+        (Some(callback), Some(id)) => call_render_hook(&env, callback, *id, message).map(|_| ()),
+        _ => Ok(()),
+    };
+
+    if !render_ids.is_empty() {
+        with_event_loop(|event_loop| {
+            run_event_loop(event_loop, RunUntil::Capture(deadline), &mut report_console);
+        });
+    }
+
+    Ok(RENDERS.with(|renders| {
+        let mut finished = Vec::new();
+        renders.borrow_mut().retain(|id, (_, result_rx)| {
+            let outcome = match result_rx.try_recv() {
+                Ok(outcome) => outcome,
+                Err(mpsc::TryRecvError::Empty) => return true,
+                Err(mpsc::TryRecvError::Disconnected) => Err(RenderError::Unknown(
+                    "Render ended without a result".to_string(),
+                )),
+            };
+            let (result, error) = match outcome {
+                Ok(result) => (Some(result), None),
+                Err(e) => (None, Some(napi::Error::from(e).reason)),
+            };
+            finished.push(FinishedRender {
+                id: *id,
+                result,
+                error,
+            });
+            false
+        });
+        finished
+    }))
+}
+
+/// Cancels a render started with `start_render`: its window closes and it
+/// won't be among those `poll_renders` returns. Cancelling a finished render
+/// does nothing.
+#[napi]
+pub fn cancel_render(id: u32) {
+    if let Some((window_id, _)) = RENDERS.with(|renders| renders.borrow_mut().remove(&id)) {
+        RENDER_STATES.with(|states| states.borrow_mut().remove(&window_id));
+    }
+}
+
+/// Closes an open page and its window. Closing a closed page does nothing.
+#[napi]
+pub fn page_close(id: u32) {
+    if let Some(window_id) = PAGES.with(|pages| pages.borrow_mut().remove(&id)) {
+        RENDER_STATES.with(|states| states.borrow_mut().remove(&window_id));
+    }
+}
+
+/// Runs `f` with the thread's event loop, creating it on first use
+fn with_event_loop<T>(f: impl FnOnce(&mut EventLoop<()>) -> T) -> T {
     EVENT_LOOP.with(|event_loop_cell| {
         let mut event_loop_opt = event_loop_cell.borrow_mut();
 
@@ -91,38 +682,86 @@ pub fn render_page(url: String, options: Option<RenderOptions>) -> Result<String
             *event_loop_opt = Some(EventLoop::new());
         }
 
-        // Borrow the EventLoop mutably
-        let event_loop = event_loop_opt.as_mut().unwrap();
+        f(event_loop_opt.as_mut().unwrap())
+    })
+}
 
-        // Create window and webview
-        let (window_id, result_rx) = setup_render(event_loop, &url, opts, timeout_ms)
-            .map_err(|e| -> napi::Error { e.into() })?;
+/// Reads the outcome the event loop sent for a capture
+fn receive_result(
+    result_rx: mpsc::Receiver<std::result::Result<RenderResult, RenderError>>,
+) -> Result<RenderResult> {
+    result_rx
+        .recv()
+        .map_err(|_| {
+            napi::Error::from_reason("Failed to receive result from event loop".to_string())
+        })?
+        .map_err(|e: RenderError| -> napi::Error { e.into() })
+}
+
+/// Builds the `run_event_loop` callback that passes console messages to the JS hook
+fn console_reporter<'a>(
+    env: &'a Env,
+    on_console: &'a Option<JsFunction>,
+) -> impl FnMut(WindowId, &ConsoleMessage) -> Result<()> + 'a {
+    move |_, message| match on_console {
+        Some(callback) => callback
+            .call(None, &[env.to_js_value(message)?])
+            .map(|_| ()),
+        None => Ok(()),
+    }
+}
 
-        // Run the event loop until this render completes
-        run_event_loop(event_loop, window_id);
+/// Converts a timeout in milliseconds, defaulting to 5 seconds like `start_render`
+fn to_timeout(timeout_ms: Option<i64>) -> Duration {
+    Duration::from_millis(timeout_ms.unwrap_or(5000).max(0) as u64)
+}
 
-        // Get the result
-        result_rx
-            .recv()
-            .map_err(|_| {
-                napi::Error::from_reason("Failed to receive result from event loop".to_string())
-            })?
-            .map_err(|e: RenderError| -> napi::Error { e.into() })
+/// Looks up the window of an open page
+fn page_window(id: u32) -> Result<WindowId> {
+    PAGES
+        .with(|pages| pages.borrow().get(&id).copied())
+        .ok_or_else(|| RenderError::PageClosed.into())
+}
+
+/// Runs `f` with the render state of an open page
+fn with_page_state<T>(window_id: WindowId, f: impl FnOnce(&mut RenderState) -> T) -> Result<T> {
+    RENDER_STATES.with(|states| {
+        states
+            .borrow_mut()
+            .get_mut(&window_id)
+            .map(f)
+            .ok_or_else(|| RenderError::PageClosed.into())
     })
 }
 
+/// Calls a `poll_renders` hook with the id of the render and its argument
+fn call_render_hook(
+    env: &Env,
+    callback: &JsFunction,
+    id: u32,
+    arg: &impl Serialize,
+) -> Result<JsUnknown> {
+    callback.call(
+        None,
+        &[env.create_uint32(id)?.into_unknown(), env.to_js_value(arg)?],
+    )
+}
+
 fn setup_render(
     event_loop: &EventLoop<()>,
     url: &str,
     opts: RenderOptions,
     timeout_ms: i64,
+    persistent: bool,
 ) -> std::result::Result<
     (
         WindowId,
-        mpsc::Receiver<std::result::Result<String, RenderError>>,
+        mpsc::Receiver<std::result::Result<RenderResult, RenderError>>,
     ),
     RenderError,
 > {
+    let start_time = Instant::now();
+
     let window = WindowBuilder::new()
         .with_visible(false)
         .with_title("fetch-with-render")
@@ -134,75 +773,187 @@ fn setup_render(
     let html_result: Rc<RefCell<Option<String>>> = Rc::new(RefCell::new(None));
     let html_ipc = Rc::clone(&html_result);
 
-    let wait_for = opts.wait_for.clone();
-    let selector = opts.selector.clone();
-    let script = opts.script.clone();
+    let page: Rc<RefCell<Option<PageDetails>>> = Rc::new(RefCell::new(None));
+    let page_ipc = Rc::clone(&page);
+
+    let evaluation: Rc<RefCell<Option<Evaluation>>> = Rc::new(RefCell::new(None));
+    let evaluation_ipc = Rc::clone(&evaluation);
+
+    let action_error: Rc<RefCell<Option<String>>> = Rc::new(RefCell::new(None));
+    let action_error_ipc = Rc::clone(&action_error);
+
+    let milestones: Rc<RefCell<Milestones>> = Rc::new(RefCell::new(Milestones::default()));
+    let milestones_ipc = Rc::clone(&milestones);
+
+    let console: Rc<RefCell<Vec<ConsoleMessage>>> = Rc::new(RefCell::new(Vec::new()));
+    let console_ipc = Rc::clone(&console);
+
+    let block = opts.block.clone().unwrap_or_default();
+    let block_policy = block.content_security_policy();
+    let blocked_requests = Rc::new(Cell::new(0));
+    let blocked_ipc = Rc::clone(&blocked_requests);
+
+    let capture: Rc<RefCell<Option<CaptureRequest>>> = Rc::new(RefCell::new(None));
+    let capture_ipc = Rc::clone(&capture);
+
+    let headers = opts.headers.clone().unwrap_or_default();
+    let forward_headers = if opts.subresource_headers.unwrap_or(false) {
+        Some(&headers)
+    } else {
+        None
+    };
 
     // IPC handler for receiving messages from webview
     let ipc_handler = move |msg: String| {
         if msg.starts_with("HTML:") {
             let html = msg.strip_prefix("HTML:").unwrap_or("");
             *html_ipc.borrow_mut() = Some(html.to_string());
+            milestones_ipc.borrow_mut().ready = Some(Instant::now());
+        } else if let Some(payload) = msg.strip_prefix("EVALUATE:") {
+            *evaluation_ipc.borrow_mut() = serde_json::from_str(payload).ok();
+        } else if let Some(error) = msg.strip_prefix("ACTIONERROR:") {
+            *action_error_ipc.borrow_mut() = Some(error.to_string());
+        } else if let Some(payload) = msg.strip_prefix("PAGE:") {
+            *page_ipc.borrow_mut() = serde_json::from_str(payload).ok();
+        } else if let Some(event) = msg.strip_prefix("EVENT:") {
+            let mut milestones = milestones_ipc.borrow_mut();
+            match event {
+                "start" => milestones.started = Some(Instant::now()),
+                "domcontentloaded" => milestones.dom_content_loaded = Some(Instant::now()),
+                "load" => milestones.load = Some(Instant::now()),
+                _ => {}
+            }
+        } else if msg.starts_with("BLOCKED:") {
+            blocked_ipc.set(blocked_ipc.get() + 1);
+        } else if let Some(payload) = msg.strip_prefix("CAPTURE:") {
+            *capture_ipc.borrow_mut() = serde_json::from_str(payload).ok();
+        } else if let Some(payload) = msg.strip_prefix("CONSOLE:") {
+            if let Ok(message) = serde_json::from_str::<ConsoleMessage>(payload) {
+                console_ipc.borrow_mut().push(message);
+            }
         }
     };
 
-    let webview = WebViewBuilder::new(&window)
-        .with_url(url)
-        .with_initialization_script(&format!(
-            r#"
-            window.__renderReady = false;
-            window.__waitFor = {};
-            window.__selector = {};
-            window.__customScript = {};
-
-            window.addEventListener('load', () => {{
-                window.__renderReady = true;
-            }});
-
-            window.checkAndExtract = function() {{
-                if (!window.__renderReady) return false;
-
-                if (window.__waitFor) {{
-                    if (!document.querySelector(window.__waitFor)) return false;
-                }}
-
-                if (window.__customScript) {{
-                    try {{
-                        eval(window.__customScript);
-                    }} catch(e) {{
-                        console.error('Script error:', e);
-                    }}
-                }}
-
-                let html;
-                if (window.__selector) {{
-                    const el = document.querySelector(window.__selector);
-                    html = el ? el.outerHTML : '';
-                }} else {{
-                    html = document.documentElement.outerHTML;
-                }}
-
-                window.ipc.postMessage('HTML:' + html);
-                return true;
-            }};
-            "#,
-            serde_json::to_string(&wait_for).unwrap_or("null".to_string()),
-            serde_json::to_string(&selector).unwrap_or("null".to_string()),
-            serde_json::to_string(&script).unwrap_or("null".to_string())
-        ))
+    // Load the body we already have when possible, so the page isn't requested twice
+    let document = opts.html.as_deref().map(|html| {
+        let (html, stripped) = prepare_document(html, url, &block, block_policy.as_deref());
+        blocked_requests.set(stripped);
+        html
+    });
+
+    // Outlives the builder of an intercepted render's WebView
+    #[cfg(target_os = "windows")]
+    let mut proxy_context = None;
+
+    // Loaded once the WebView exists and its blocking rules are in place
+    #[cfg(any(target_os = "linux", target_os = "macos"))]
+    let mut builder = WebViewBuilder::new(&window);
+    #[cfg(not(any(target_os = "linux", target_os = "macos")))]
+    let mut builder = match &document {
+        // wry loads it as about:blank, which the `<base>` makes up for
+        Some(html) => WebViewBuilder::new(&window).with_html(html),
+        None => WebViewBuilder::new(&window)
+            .with_url(url)
+            .with_headers(to_header_map(&headers)),
+    };
+
+    if let Some(user_agent) = header_value(&headers, "user-agent") {
+        builder = builder.with_user_agent(user_agent);
+    }
+
+    // Every request goes through the proxy of the onRequest hook, see proxy.rs
+    if let Some(proxy) = &opts.proxy {
+        builder = builder.with_proxy_config(proxy::proxy_config(proxy));
+        #[cfg(target_os = "windows")]
+        {
+            use wry::WebViewBuilderExtWindows;
+            builder = builder
+                .with_additional_browser_args(proxy::browser_args(proxy))
+                .with_web_context(proxy_context.insert(proxy::web_context()));
+        }
+    }
+
+    let webview = builder
+        .with_initialization_script(&initialization_script(json!({
+            "url": url,
+            "waitFor": opts.wait_for,
+            "waitUntil": opts.wait_until,
+            "idleTime": opts.idle_time,
+            "waitForSignal": opts.wait_for_signal.unwrap_or(false),
+            "selector": opts.selector,
+            "selectorAll": opts.selector_all,
+            "property": opts.property,
+            "assets": opts.assets.unwrap_or(false),
+            "customScript": opts.script,
+            "actions": opts.actions,
+            "forwardHeaders": forward_headers,
+            "blockPolicy": block_policy,
+            "evaluate": opts.evaluate,
+            "screenshot": opts.screenshot.as_ref().map(|screenshot| json!({
+                "fullPage": screenshot.full_page.unwrap_or(false),
+                "clip": screenshot.clip,
+                "selector": screenshot.selector,
+            })),
+        })))
         .with_ipc_handler(ipc_handler)
         .build()
         .map_err(|e| RenderError::WebViewCreation(e.to_string()))?;
 
+    let proxy_trust = opts
+        .proxy
+        .as_ref()
+        .map(|proxy| proxy::trust_proxy(&webview, proxy));
+    let webview = Rc::new(RefCell::new(webview));
+
+    // The engine refuses blocked resources itself, including those in the
+    // markup of a page navigated to, so the page loads once it knows them
+    #[cfg(any(target_os = "linux", target_os = "macos"))]
+    {
+        let loading = Rc::downgrade(&webview);
+        let url = url.to_string();
+        let headers = to_header_map(&headers);
+        load::with_content_rules(&webview.borrow(), block.content_rules(), move || {
+            let Some(webview) = loading.upgrade() else {
+                return;
+            };
+            let webview = webview.borrow();
+            match &document {
+                Some(html) => load::load_html(&webview, html, &url),
+                None => webview.load_url_with_headers(&url, headers),
+            }
+        });
+    }
+
     let (result_tx, result_rx) = mpsc::channel();
 
     let state = RenderState {
         window,
-        webview: Rc::new(RefCell::new(webview)),
+        webview,
+        proxy_trust,
+        url: url.to_string(),
         html_result,
+        page,
+        evaluate: opts.evaluate.is_some(),
+        evaluation,
+        action_error,
+        milestones,
+        console,
+        console_reported: Cell::new(0),
+        block,
+        blocked_requests,
+        screenshot: opts.screenshot,
+        capture,
+        snapshot: PendingCapture::default(),
+        pdf: opts.pdf,
+        printout: PendingCapture::default(),
         result_tx,
-        start_time: std::time::Instant::now(),
+        start_time,
         timeout_duration: Duration::from_millis(timeout_ms as u64),
+        extract_on_timeout: opts.extract_on_timeout.unwrap_or(false),
+        timed_out: false,
+        persistent,
+        capturing: true,
+        evaluating: false,
     };
 
     // Store the state in a thread-local map
@@ -213,17 +964,608 @@ fn setup_render(
     Ok((window_id, result_rx))
 }
 
+/// Script injected into every page, see page-script.js
+const PAGE_SCRIPT: &str = include_str!("page-script.js");
+
+/// Prefixes the page script with the render options it reads from `window.__fwrConfig`
+fn initialization_script(config: serde_json::Value) -> String {
+    format!("window.__fwrConfig = {};\n{}", config, PAGE_SCRIPT)
+}
+
+/// Converts forwarded request headers into a map for the main navigation,
+/// skipping any name or value the HTTP layer would reject
+fn to_header_map(headers: &HashMap<String, String>) -> HeaderMap {
+    let mut map = HeaderMap::new();
+    for (name, value) in headers {
+        if let (Ok(name), Ok(value)) = (
+            HeaderName::from_bytes(name.as_bytes()),
+            HeaderValue::from_str(value),
+        ) {
+            map.insert(name, value);
+        }
+    }
+    map
+}
+
+/// Case-insensitive header lookup
+fn header_value<'a>(headers: &'a HashMap<String, String>, name: &str) -> Option<&'a str> {
+    headers
+        .iter()
+        .find(|(key, _)| key.eq_ignore_ascii_case(name))
+        .map(|(_, value)| value.as_str())
+}
+
+/// Prepares an already-fetched document to be loaded in place of the URL:
+/// strips resources matching the block patterns and adds the blocking
+/// policy tag, plus a `<base>` where the document loads as about:blank.
+/// Returns the document and the number of resources stripped.
+fn prepare_document(
+    html: &str,
+    url: &str,
+    block: &BlockOptions,
+    block_policy: Option<&str>,
+) -> (String, u32) {
+    let (html, stripped) = strip_blocked_resources(html, url, block);
+    #[cfg(not(any(target_os = "linux", target_os = "macos")))]
+    let html = with_base_href(&html, url);
+
+    match block_policy {
+        Some(policy) => {
+            let meta = format!(
+                r#"<meta http-equiv="Content-Security-Policy" content="{}">"#,
+                escape_attribute(policy)
+            );
+            (insert_in_head(&html, &meta), stripped)
+        }
+        None => (html, stripped),
+    }
+}
+
+/// Adds a `<base href>` pointing at the original URL so relative subresources
+/// resolve as they would have when navigating. Documents that already declare
+/// a base are left untouched.
+#[cfg_attr(any(target_os = "linux", target_os = "macos"), allow(dead_code))]
+fn with_base_href(html: &str, url: &str) -> String {
+    if html.to_ascii_lowercase().contains("<base") {
+        return html.to_string();
+    }
+
+    insert_in_head(html, &format!(r#"<base href="{}">"#, escape_attribute(url)))
+}
+
+/// Inserts markup at the start of the document head
+fn insert_in_head(html: &str, tags: &str) -> String {
+    let lower = html.to_ascii_lowercase();
+
+    // Insert right after <head>, falling back to <html> or the doctype so the
+    // document never drops into quirks mode
+    let insert_at = find_tag_end(&lower, "<head")
+        .or_else(|| find_tag_end(&lower, "<html"))
+        .or_else(|| find_tag_end(&lower, "<!doctype"))
+        .unwrap_or(0);
+
+    let mut result = String::with_capacity(html.len() + tags.len());
+    result.push_str(&html[..insert_at]);
+    result.push_str(tags);
+    result.push_str(&html[insert_at..]);
+    result
+}
+
+fn escape_attribute(value: &str) -> String {
+    value.replace('&', "&amp;").replace('"', "&quot;")
+}
+
+/// Returns the byte offset just past the first `<name ...>` opening tag
+fn find_tag_end(lower_html: &str, tag: &str) -> Option<usize> {
+    let mut offset = 0;
+    while let Some(pos) = lower_html[offset..].find(tag) {
+        let start = offset + pos;
+        let after = start + tag.len();
+        // Make sure we matched the whole tag name (`<head`, not `<header`)
+        match lower_html[after..].chars().next() {
+            Some(c) if c == '>' || c.is_ascii_whitespace() => {
+                return lower_html[after..].find('>').map(|end| after + end + 1);
+            }
+            _ => offset = after,
+        }
+    }
+    None
+}
+
+/// Elements whose `src`/`href` makes the engine load a resource
+const RESOURCE_TAGS: [&str; 7] = [
+    "script", "img", "link", "iframe", "audio", "video", "source",
+];
+
+/// Disables resources in the markup whose URL matches a block pattern by
+/// renaming their `src`/`href` attribute, so the engine never requests them.
+/// Returns the document and the number of resources disabled.
+fn strip_blocked_resources(html: &str, url: &str, block: &BlockOptions) -> (String, u32) {
+    if block.url_patterns.as_deref().unwrap_or_default().is_empty() {
+        return (html.to_string(), 0);
+    }
+
+    let lower = html.to_ascii_lowercase();
+    let mut result = String::with_capacity(html.len());
+    let mut copied = 0;
+    let mut stripped = 0;
+    let mut offset = 0;
+
+    while let Some(pos) = lower[offset..].find('<') {
+        let start = offset + pos + 1;
+        let name_end = lower[start..]
+            .find(|c: char| !c.is_ascii_alphanumeric())
+            .map_or(lower.len(), |i| start + i);
+        let tag_end = find_tag_close(&lower, name_end);
+
+        if RESOURCE_TAGS.contains(&&lower[start..name_end]) {
+            for attribute in ["src", "href"] {
+                if let Some((attribute_at, value)) =
+                    find_attribute(html, name_end, tag_end, attribute)
+                {
+                    if block.blocks_url(&resolve_url(url, value)) {
+                        result.push_str(&html[copied..attribute_at]);
+                        result.push_str("data-blocked-");
+                        copied = attribute_at;
+                        stripped += 1;
+                    }
+                }
+            }
+        }
+
+        offset = tag_end.max(start);
+    }
+
+    result.push_str(&html[copied..]);
+    (result, stripped)
+}
+
+/// Returns the offset of the `>` closing a tag, skipping quoted attribute values
+fn find_tag_close(lower_html: &str, from: usize) -> usize {
+    let bytes = lower_html.as_bytes();
+    let mut quote = None;
+    for (i, &byte) in bytes.iter().enumerate().skip(from) {
+        match quote {
+            Some(q) if byte == q => quote = None,
+            Some(_) => {}
+            None if byte == b'"' || byte == b'\'' => quote = Some(byte),
+            None if byte == b'>' => return i,
+            None => {}
+        }
+    }
+    bytes.len()
+}
+
+/// Finds an attribute within a tag's attribute section (`start..end`) and
+/// returns its offset and value
+fn find_attribute<'a>(
+    html: &'a str,
+    start: usize,
+    end: usize,
+    name: &str,
+) -> Option<(usize, &'a str)> {
+    let bytes = html.as_bytes();
+    let mut i = start;
+
+    while i < end {
+        while i < end && (bytes[i].is_ascii_whitespace() || bytes[i] == b'/') {
+            i += 1;
+        }
+        let name_start = i;
+        while i < end && !bytes[i].is_ascii_whitespace() && !matches!(bytes[i], b'=' | b'/') {
+            i += 1;
+        }
+        let attribute_name = &html[name_start..i];
+        while i < end && bytes[i].is_ascii_whitespace() {
+            i += 1;
+        }
+
+        let mut value = "";
+        if i < end && bytes[i] == b'=' {
+            i += 1;
+            while i < end && bytes[i].is_ascii_whitespace() {
+                i += 1;
+            }
+            if i < end && (bytes[i] == b'"' || bytes[i] == b'\'') {
+                let quote = bytes[i];
+                let value_start = i + 1;
+                i = value_start;
+                while i < end && bytes[i] != quote {
+                    i += 1;
+                }
+                value = &html[value_start..i];
+                i += 1;
+            } else {
+                let value_start = i;
+                while i < end && !bytes[i].is_ascii_whitespace() {
+                    i += 1;
+                }
+                value = &html[value_start..i];
+            }
+        }
+
+        if attribute_name.eq_ignore_ascii_case(name) {
+            return Some((name_start, value));
+        }
+        if i == name_start {
+            i += 1;
+        }
+    }
+
+    None
+}
+
+/// Resolves a URL from the markup against the page URL, closely enough to
+/// match it against block patterns
+fn resolve_url(base: &str, value: &str) -> String {
+    let value = value.trim();
+    if value.contains("://") || value.starts_with("data:") || value.starts_with("blob:") {
+        return value.to_string();
+    }
+
+    let scheme = base.split("://").next().unwrap_or("https");
+    if let Some(rest) = value.strip_prefix("//") {
+        return format!("{}://{}", scheme, rest);
+    }
+
+    let host_start = base.find("://").map_or(0, |i| i + 3);
+    let origin_end = base[host_start..]
+        .find('/')
+        .map_or(base.len(), |i| host_start + i);
+    if value.starts_with('/') {
+        return format!("{}{}", &base[..origin_end], value);
+    }
+
+    let path = &base[..base.find(['?', '#']).unwrap_or(base.len())];
+    match path.rfind('/').filter(|&i| i >= origin_end) {
+        Some(dir_end) => format!("{}{}", &path[..=dir_end], value),
+        None => format!("{}/{}", &base[..origin_end], value),
+    }
+}
+
+/// Matches a URL against a block pattern
+fn matches_url_pattern(pattern: &str, url: &str) -> bool {
+    if pattern.contains('*') {
+        glob_match(pattern.as_bytes(), url.as_bytes())
+    } else {
+        url.contains(pattern)
+    }
+}
+
+/// Content rule `url-filter` regular expression matching the same URLs as a block pattern
+#[cfg_attr(not(any(target_os = "linux", target_os = "macos")), allow(dead_code))]
+fn url_filter(pattern: &str) -> String {
+    let mut filter = String::new();
+    for c in pattern.chars() {
+        match c {
+            '*' => filter.push_str(".*"),
+            '.' | '+' | '?' | '^' | '$' | '(' | ')' | '[' | ']' | '{' | '}' | '|' | '\\' => {
+                filter.push('\\');
+                filter.push(c);
+            }
+            _ => filter.push(c),
+        }
+    }
+    if pattern.contains('*') {
+        format!("^{}$", filter)
+    } else {
+        filter
+    }
+}
+
+/// Matches text against a pattern in which `*` stands for any run of characters
+fn glob_match(pattern: &[u8], text: &[u8]) -> bool {
+    let (mut p, mut t) = (0, 0);
+    let mut backtrack = None;
+
+    while t < text.len() {
+        if p < pattern.len() && pattern[p] == b'*' {
+            backtrack = Some((p, t));
+            p += 1;
+        } else if p < pattern.len() && pattern[p] == text[t] {
+            p += 1;
+            t += 1;
+        } else if let Some((star, matched)) = backtrack {
+            p = star + 1;
+            t = matched + 1;
+            backtrack = Some((star, matched + 1));
+        } else {
+            return false;
+        }
+    }
+
+    pattern[p..].iter().all(|&c| c == b'*')
+}
+
+impl RenderState {
+    fn busy(&self) -> bool {
+        self.capturing || self.evaluating
+    }
+
+    /// Ends a capture. Returns whether the window is done with and can be removed.
+    fn finish_capture(&mut self) -> bool {
+        self.capturing = false;
+        !self.persistent
+    }
+
+    /// Prepares a page to capture the document it is about to load. Returns
+    /// the receiver for the outcome.
+    fn restart_capture(
+        &mut self,
+        url: &str,
+        timeout: Duration,
+    ) -> mpsc::Receiver<std::result::Result<RenderResult, RenderError>> {
+        let (result_tx, result_rx) = mpsc::channel();
+        self.result_tx = result_tx;
+        self.url = url.to_string();
+        *self.html_result.borrow_mut() = None;
+        *self.page.borrow_mut() = None;
+        *self.milestones.borrow_mut() = Milestones::default();
+        self.start_time = Instant::now();
+        self.timeout_duration = timeout;
+        self.timed_out = false;
+        self.capturing = true;
+        // The page script captures a document once; allow it again in case
+        // the navigation keeps the document
+        let _ = self
+            .webview
+            .borrow()
+            .evaluate_script("window.__fwrRecapture && window.__fwrRecapture()");
+        result_rx
+    }
+
+    /// Starts evaluating an expression for `page_evaluate`; the outcome
+    /// lands in `evaluation`
+    fn start_evaluation(&mut self, source: &str, timeout: Duration) {
+        *self.evaluation.borrow_mut() = None;
+        self.start_time = Instant::now();
+        self.timeout_duration = timeout;
+        self.evaluating = true;
+
+        let script = format!(
+            "window.__fwrEvaluate && window.__fwrEvaluate({})",
+            serde_json::to_string(source).unwrap_or_default()
+        );
+        let _ = self.webview.borrow().evaluate_script(&script);
+    }
+
+    /// Console messages that haven't been passed to the `onConsole` hook yet
+    fn unreported_console(&self) -> Vec<ConsoleMessage> {
+        let console = self.console.borrow();
+        let reported = self.console_reported.replace(console.len());
+        console[reported..].to_vec()
+    }
+
+    /// Builds the result once the page has sent its HTML
+    fn take_result(&self) -> Option<RenderResult> {
+        let html = self.html_result.borrow_mut().take()?;
+        let page = self.page.borrow_mut().take().unwrap_or_default();
+        let milestones = self.milestones.borrow();
+
+        // Fetched bodies the engine can't load at their URL, such as those of
+        // data: URLs, are about:blank documents
+        let final_url = if page.url.is_empty() || page.url == "about:blank" {
+            self.url.clone()
+        } else {
+            page.url
+        };
+
+        // Nothing to return as HTML when the selector matched nothing or
+        // elements are returned instead
+        let html =
+            (page.selector_matched != Some(false) && page.elements.is_none()).then_some(html);
+
+        Some(RenderResult {
+            html,
+            elements: page.elements,
+            final_url,
+            title: page.title,
+            wait_for_matched: page.wait_for_matched,
+            timed_out: self.timed_out,
+            timings: RenderTimings {
+                navigation: millis_between(Some(self.start_time), milestones.dom_content_loaded),
+                load: millis_between(milestones.dom_content_loaded, milestones.load),
+                wait_for: millis_between(milestones.load, milestones.ready),
+                total: self.start_time.elapsed().as_secs_f64() * 1000.0,
+            },
+            blocked_requests: self.blocked_requests.get(),
+            screenshot: None,
+            pdf: None,
+            console: self.console.borrow().clone(),
+            evaluation: self
+                .evaluation
+                .borrow_mut()
+                .take()
+                .and_then(|evaluation| evaluation.json),
+            signal: page.signal,
+            metadata: page.metadata,
+            assets: page.assets,
+        })
+    }
+
+    /// Returns the outcome of the render once the page has sent its HTML and
+    /// everything else requested has been captured
+    fn poll_result(&self) -> Option<std::result::Result<RenderResult, RenderError>> {
+        if let Some(error) = self.action_error.borrow_mut().take() {
+            return Some(Err(RenderError::Action(error)));
+        }
+        if self.html_result.borrow().is_none() {
+            return None;
+        }
+
+        if self.evaluate {
+            match self.evaluation.borrow().as_ref() {
+                None => return None,
+                Some(Evaluation {
+                    error: Some(error), ..
+                }) => return Some(Err(RenderError::Evaluation(error.clone()))),
+                Some(_) => {}
+            }
+        }
+
+        // The PDF is printed after the screenshot, so one never resizes the
+        // view while the other is being captured
+        if let Err(e) = self.poll_screenshot()? {
+            return Some(Err(e));
+        }
+        if let Some(options) = &self.pdf {
+            self.printout
+                .poll(|on_done| capture::print_pdf(&self.webview.borrow(), options, on_done))?;
+        }
+
+        let screenshot = match self.snapshot.take().transpose() {
+            Ok(screenshot) => screenshot,
+            Err(e) => return Some(Err(RenderError::Screenshot(e))),
+        };
+        let pdf = match self.printout.take().transpose() {
+            Ok(pdf) => pdf,
+            Err(e) => return Some(Err(RenderError::Pdf(e))),
+        };
+
+        self.take_result().map(|result| {
+            Ok(RenderResult {
+                screenshot: screenshot.map(Buffer::from),
+                pdf: pdf.map(Buffer::from),
+                ..result
+            })
+        })
+    }
+
+    /// Drives the screenshot: the snapshot is started on the first call and
+    /// `None` is returned until the engine delivers it
+    fn poll_screenshot(&self) -> Option<std::result::Result<(), RenderError>> {
+        let Some(options) = &self.screenshot else {
+            return Some(Ok(()));
+        };
+
+        let capture = self.capture.borrow();
+        let Some(capture) = capture.as_ref() else {
+            return Some(Err(RenderError::Screenshot(
+                "Page did not report the area to capture".to_string(),
+            )));
+        };
+        if let Some(error) = &capture.error {
+            return Some(Err(RenderError::Screenshot(error.clone())));
+        }
+
+        let document_size = capture
+            .full_document
+            .then_some((capture.width, capture.height));
+        let (clip, width) = (capture.clip, capture.width);
+        let format = options
+            .image_type
+            .clone()
+            .unwrap_or_else(|| "png".to_string());
+        let quality = options.quality.unwrap_or(80).min(100) as u8;
+
+        self.snapshot.poll(|on_done| {
+            capture::snapshot(
+                &self.webview.borrow(),
+                document_size,
+                Box::new(move |png| {
+                    on_done(
+                        png.and_then(|png| capture::encode(&png, clip, width, &format, quality)),
+                    )
+                }),
+            )
+        })?;
+        Some(Ok(()))
+    }
+}
+
+/// A capture the engine performs asynchronously once the page is ready
+#[derive(Default)]
+struct PendingCapture {
+    started: Cell<bool>,
+    output: Rc<RefCell<Option<std::result::Result<Vec<u8>, String>>>>,
+}
+
+impl PendingCapture {
+    /// Starts the capture on the first call, then returns `Some` once the
+    /// engine has delivered its output
+    fn poll(&self, start: impl FnOnce(CaptureCallback)) -> Option<()> {
+        if !self.started.replace(true) {
+            let output = Rc::clone(&self.output);
+            start(Box::new(move |bytes| *output.borrow_mut() = Some(bytes)));
+        }
+        self.output.borrow().as_ref().map(|_| ())
+    }
+
+    /// Takes the delivered output, if the capture ran
+    fn take(&self) -> Option<std::result::Result<Vec<u8>, String>> {
+        self.output.borrow_mut().take()
+    }
+}
+
+/// Milliseconds between two milestones, if both were reached
+fn millis_between(from: Option<Instant>, to: Option<Instant>) -> Option<f64> {
+    Some(to?.saturating_duration_since(from?).as_secs_f64() * 1000.0)
+}
+
 // Thread-local storage for active renders
 thread_local! {
     static RENDER_STATES: RefCell<HashMap<WindowId, RenderState>> = RefCell::new(HashMap::new());
 }
 
-fn run_event_loop(event_loop: &mut EventLoop<()>, _target_window_id: WindowId) {
+// Windows of the pages opened with open_page, by page id
+thread_local! {
+    static PAGES: RefCell<HashMap<u32, WindowId>> = RefCell::new(HashMap::new());
+    static NEXT_PAGE_ID: Cell<u32> = const { Cell::new(1) };
+}
+
+// Windows and outcomes of the renders started with start_render, by render id
+type RenderReceiver = mpsc::Receiver<std::result::Result<RenderResult, RenderError>>;
+
+thread_local! {
+    static RENDERS: RefCell<HashMap<u32, (WindowId, RenderReceiver)>> = RefCell::new(HashMap::new());
+    static NEXT_RENDER_ID: Cell<u32> = const { Cell::new(1) };
+}
+
+/// When `run_event_loop` returns
+#[derive(Clone, Copy)]
+enum RunUntil {
+    /// Once no render or page call is in progress
+    Idle,
+    /// Also as soon as a capture finishes, or at the deadline, leaving the
+    /// other renders in progress
+    Capture(Option<Instant>),
+}
+
+fn run_event_loop(
+    event_loop: &mut EventLoop<()>,
+    until: RunUntil,
+    report_console: &mut dyn FnMut(WindowId, &ConsoleMessage) -> Result<()>,
+) {
     event_loop.run_return(|event, _, control_flow| {
-        *control_flow = ControlFlow::Poll;
+        // A slice sleeps until the pages send something rather than spinning
+        *control_flow = match until {
+            RunUntil::Capture(Some(deadline)) => ControlFlow::WaitUntil(deadline),
+            _ => ControlFlow::Poll,
+        };
+
+        // Report new console messages. The hook is called while no render
+        // state is borrowed, since it runs arbitrary JS.
+        let console_messages: Vec<(WindowId, ConsoleMessage)> = RENDER_STATES.with(|states| {
+            states
+                .borrow()
+                .iter()
+                .flat_map(|(window_id, state)| {
+                    state
+                        .unreported_console()
+                        .into_iter()
+                        .map(|message| (*window_id, message))
+                })
+                .collect()
+        });
+
+        for (window_id, message) in &console_messages {
+            // The JS side wraps the hook so it never throws
+            let _ = report_console(*window_id, message);
+        }
 
         // Check all active renders
         let mut completed_windows = Vec::new();
+        let mut captured = false;
         let mut should_exit = false;
 
         RENDER_STATES.with(|states| {
@@ -231,22 +1573,47 @@ fn run_event_loop(event_loop: &mut EventLoop<()>, _target_window_id: WindowId) {
 
             // Process events for each window
             for (window_id, state) in states_map.iter_mut() {
-                // Check if we have a result
-                if state.html_result.borrow().is_some() {
-                    let result = state
-                        .html_result
-                        .borrow_mut()
-                        .take()
-                        .ok_or(RenderError::Unknown("No HTML captured".to_string()));
-                    let _ = state.result_tx.send(result);
-                    completed_windows.push(*window_id);
+                if state.evaluating && state.evaluation.borrow().is_some() {
+                    state.evaluating = false;
+                }
+
+                // Open pages are left alone between calls
+                if !state.busy() {
                     continue;
                 }
 
-                // Check timeout
+                // Check if we have a result
+                if state.capturing {
+                    if let Some(result) = state.poll_result() {
+                        captured = true;
+                        let _ = state.result_tx.send(result);
+                        if state.finish_capture() {
+                            completed_windows.push(*window_id);
+                        }
+                        continue;
+                    }
+                }
+
+                // Check timeout. When asked to, capture the page as it is first.
+                // A page evaluation that times out has no outcome.
                 if state.start_time.elapsed() > state.timeout_duration {
+                    if state.evaluating {
+                        state.evaluating = false;
+                        continue;
+                    }
+                    if state.extract_on_timeout && !state.timed_out {
+                        state.timed_out = true;
+                        state.timeout_duration += EXTRACT_GRACE;
+                        let _ = state.webview.borrow().evaluate_script(
+                            "window.checkAndExtract && window.checkAndExtract(true)",
+                        );
+                        continue;
+                    }
+                    captured = true;
                     let _ = state.result_tx.send(Err(RenderError::Timeout));
-                    completed_windows.push(*window_id);
+                    if state.finish_capture() {
+                        completed_windows.push(*window_id);
+                    }
                     continue;
                 }
 
@@ -259,21 +1626,22 @@ fn run_event_loop(event_loop: &mut EventLoop<()>, _target_window_id: WindowId) {
                 {
                     if event_window_id == window_id && window_event == &WindowEvent::CloseRequested
                     {
-                        let result =
-                            state
-                                .html_result
-                                .borrow_mut()
-                                .take()
-                                .ok_or(RenderError::Unknown(
-                                    "Window closed before HTML captured".to_string(),
-                                ));
+                        let result = state.take_result().ok_or(RenderError::Unknown(
+                            "Window closed before HTML captured".to_string(),
+                        ));
+                        captured = true;
                         let _ = state.result_tx.send(result);
                         completed_windows.push(*window_id);
                     }
                 }
 
-                // On MainEventsCleared, trigger checkAndExtract
-                if matches!(event, Event::MainEventsCleared) {
+                // On MainEventsCleared, trigger checkAndExtract until the HTML is
+                // in, once the document being captured has started loading
+                if matches!(event, Event::MainEventsCleared)
+                    && state.capturing
+                    && state.html_result.borrow().is_none()
+                    && state.milestones.borrow().started.is_some()
+                {
                     let webview = state.webview.borrow();
                     let _ = webview
                         .evaluate_script("window.checkAndExtract && window.checkAndExtract()");
@@ -286,11 +1654,17 @@ fn run_event_loop(event_loop: &mut EventLoop<()>, _target_window_id: WindowId) {
             }
 
             // If no more active renders, exit the event loop
-            if states_map.is_empty() {
+            if !states_map.values().any(RenderState::busy) {
                 should_exit = true;
             }
         });
 
+        if let RunUntil::Capture(deadline) = until {
+            if captured || deadline.is_some_and(|deadline| Instant::now() >= deadline) {
+                should_exit = true;
+            }
+        }
+
         if should_exit {
             *control_flow = ControlFlow::Exit;
         }
@@ -307,4 +1681,123 @@ mod tests {
         // Placeholder for now
         assert!(true);
     }
+
+    #[test]
+    fn test_base_href_inserted_after_head() {
+        let html = "<!DOCTYPE html><html><head><title>t</title></head><body></body></html>";
+        let result = with_base_href(html, "https://example.com/a/b?x=1&y=2");
+        assert_eq!(
+            result,
+            "<!DOCTYPE html><html><head><base href=\"https://example.com/a/b?x=1&amp;y=2\"><title>t</title></head><body></body></html>"
+        );
+    }
+
+    #[test]
+    fn test_base_href_skips_header_element() {
+        let html = "<html><body><header>h</header></body></html>";
+        let result = with_base_href(html, "https://example.com/");
+        assert!(result.starts_with("<html><base href=\"https://example.com/\"><body><header>"));
+    }
+
+    #[test]
+    fn test_block_patterns_strip_markup_resources() {
+        let block = BlockOptions {
+            resource_types: None,
+            url_patterns: Some(vec![
+                "ads.example.net".to_string(),
+                "*/track/*.js".to_string(),
+            ]),
+        };
+        let html = r#"<head><script src="https://ads.example.net/a.js"></script><script src='/track/t.js'></script><script src=/app.js></script><header></header></head>"#;
+        let (result, stripped) = strip_blocked_resources(html, "https://example.com/page", &block);
+        assert_eq!(stripped, 2);
+        assert_eq!(
+            result,
+            r#"<head><script data-blocked-src="https://ads.example.net/a.js"></script><script data-blocked-src='/track/t.js'></script><script src=/app.js></script><header></header></head>"#
+        );
+    }
+
+    #[test]
+    fn test_block_policy_for_resource_types() {
+        let block = BlockOptions {
+            resource_types: Some(vec!["image".to_string(), "font".to_string()]),
+            url_patterns: None,
+        };
+        assert_eq!(
+            block.content_security_policy().as_deref(),
+            Some("img-src 'none'; font-src 'none'")
+        );
+        assert_eq!(BlockOptions::default().content_security_policy(), None);
+    }
+
+    #[test]
+    fn test_content_rules_for_block_options() {
+        let block = BlockOptions {
+            resource_types: Some(vec![
+                "stylesheet".to_string(),
+                "fetch".to_string(),
+                "xhr".to_string(),
+            ]),
+            url_patterns: Some(vec!["ads.example.net".to_string()]),
+        };
+        let rules: serde_json::Value =
+            serde_json::from_str(&block.content_rules().unwrap()).unwrap();
+        assert_eq!(
+            rules[0]["trigger"]["resource-type"],
+            json!(["style-sheet", "raw"])
+        );
+        assert_eq!(rules[1]["trigger"]["url-filter"], "ads\\.example\\.net");
+        assert_eq!(rules[2]["action"]["type"], "ignore-previous-rules");
+        assert_eq!(rules.as_array().unwrap().len(), 3);
+        assert_eq!(BlockOptions::default().content_rules(), None);
+    }
+
+    #[test]
+    fn test_url_filter() {
+        assert_eq!(
+            url_filter("*://*.doubleclick.net/*"),
+            "^.*://.*\\.doubleclick\\.net/.*$"
+        );
+        assert_eq!(url_filter("analytics?v=1"), "analytics\\?v=1");
+    }
+
+    #[test]
+    fn test_resolve_url() {
+        let base = "https://example.com/a/b.html?x=1";
+        assert_eq!(resolve_url(base, "c.js"), "https://example.com/a/c.js");
+        assert_eq!(resolve_url(base, "/c.js"), "https://example.com/c.js");
+        assert_eq!(resolve_url(base, "//cdn.net/c.js"), "https://cdn.net/c.js");
+        assert_eq!(
+            resolve_url("https://example.com", "c.js"),
+            "https://example.com/c.js"
+        );
+        assert_eq!(resolve_url(base, "http://other.org/"), "http://other.org/");
+    }
+
+    #[test]
+    fn test_url_patterns() {
+        assert!(matches_url_pattern(
+            "*://*.doubleclick.net/*",
+            "https://ad.doubleclick.net/x"
+        ));
+        assert!(!matches_url_pattern(
+            "*://*.doubleclick.net/*",
+            "https://example.com/"
+        ));
+        assert!(matches_url_pattern("*.png", "https://example.com/a.png"));
+        assert!(!matches_url_pattern(
+            "*.png",
+            "https://example.com/a.png?v=1"
+        ));
+        assert!(matches_url_pattern(
+            "analytics",
+            "https://example.com/analytics.js"
+        ));
+    }
+
+    #[test]
+    fn test_base_href_keeps_existing_base() {
+        let html = "<head><base href=\"/other/\"></head>";
+        assert_eq!(with_base_href(html, "https://example.com/"), html);
+    }
 }
@@ -0,0 +1,146 @@
+//! Loading fetched documents into a render's WebView.
+//!
+//! wry only loads an HTML string as an about:blank document, which leaves
+//! the page with the wrong `location`, origin, cookies and storage. Where
+//! the engine allows it, the body is loaded as the document at the URL it
+//! was fetched from instead, as if the WebView had navigated there.
+//!
+//! Blocked resources are refused by the engine through a content rule
+//! list, which has to be compiled and in place before the page loads.
+
+use wry::WebView;
+
+/// Loads `html` as the document at `url`. Bodies fetched from other than
+/// http(s) URLs, such as data: URLs, load without a URL of their own.
+#[cfg(target_os = "linux")]
+pub fn load_html(webview: &WebView, html: &str, url: &str) {
+    use webkit2gtk::WebViewExt;
+    use wry::WebViewExtUnix;
+
+    match document_url(url) {
+        Some(url) => webview.webview().load_alternate_html(html, url, Some(url)),
+        None => webview.webview().load_html(html, None),
+    }
+}
+
+/// Loads `html` as the document at `url`. Bodies fetched from other than
+/// http(s) URLs, such as data: URLs, load without a URL of their own.
+#[cfg(target_os = "macos")]
+pub fn load_html(webview: &WebView, html: &str, url: &str) {
+    use crate::capture::macos::{ns_string, release};
+    use cocoa::base::{id, nil};
+    use objc::{class, msg_send, sel, sel_impl};
+    use wry::WebViewExtMacOS;
+
+    unsafe {
+        let base: id = match document_url(url) {
+            Some(url) => {
+                let url = ns_string(url);
+                let base: id = msg_send![class!(NSURL), URLWithString: url];
+                release(url);
+                base
+            }
+            None => nil,
+        };
+        let html = ns_string(html);
+        let _: id = msg_send![webview.webview(), loadHTMLString: html baseURL: base];
+        release(html);
+    }
+}
+
+/// Adds the content `rules` to the WebView, then calls `load`. Rules that
+/// fail to compile are skipped, leaving blocking to the policy in the markup.
+#[cfg(target_os = "linux")]
+pub fn with_content_rules(webview: &WebView, rules: Option<String>, load: impl FnOnce() + 'static) {
+    use gtk::glib::Bytes;
+    use webkit2gtk::{
+        UserContentFilterStore, UserContentFilterStoreExt, UserContentManagerExt, WebViewExt,
+    };
+    use wry::WebViewExtUnix;
+
+    let Some(rules) = rules else {
+        return load();
+    };
+    let manager = webview.webview().user_content_manager();
+    let store = UserContentFilterStore::new(&rules_store_path().to_string_lossy());
+    store.save(
+        &rules_identifier(&rules),
+        &Bytes::from_owned(rules.into_bytes()),
+        None::<&gtk::gio::Cancellable>,
+        move |filter| {
+            if let (Ok(filter), Some(manager)) = (filter, manager) {
+                manager.add_filter(&filter);
+            }
+            load();
+        },
+    );
+}
+
+/// Adds the content `rules` to the WebView, then calls `load`. Rules that
+/// fail to compile are skipped, leaving blocking to the policy in the markup.
+#[cfg(target_os = "macos")]
+pub fn with_content_rules(webview: &WebView, rules: Option<String>, load: impl FnOnce() + 'static) {
+    use crate::capture::macos::{ns_string, release};
+    use block::ConcreteBlock;
+    use cocoa::base::{id, nil};
+    use objc::{class, msg_send, sel, sel_impl};
+    use std::cell::RefCell;
+    use wry::WebViewExtMacOS;
+
+    let Some(rules) = rules else {
+        return load();
+    };
+
+    // The completion handler is an Fn block but only ever runs once
+    let load = RefCell::new(Some(load));
+
+    unsafe {
+        let configuration: id = msg_send![webview.webview(), configuration];
+        let controller: id = msg_send![configuration, userContentController];
+        // Kept until the rules are compiled, even if the render ends first
+        let _: id = msg_send![controller, retain];
+
+        let handler = ConcreteBlock::new(move |list: id, _error: id| {
+            if list != nil {
+                let _: () = msg_send![controller, addContentRuleList: list];
+            }
+            release(controller);
+            if let Some(load) = load.borrow_mut().take() {
+                load();
+            }
+        })
+        .copy();
+
+        let identifier = ns_string(&rules_identifier(&rules));
+        let encoded = ns_string(&rules);
+        let store: id = msg_send![class!(WKContentRuleListStore), defaultStore];
+        let _: () = msg_send![store,
+            compileContentRuleListForIdentifier: identifier
+            encodedContentRuleList: encoded
+            completionHandler: &*handler];
+        release(identifier);
+        release(encoded);
+    }
+}
+
+/// Identifies compiled rules by their source, so the same rules are stored once
+fn rules_identifier(rules: &str) -> String {
+    use std::collections::hash_map::DefaultHasher;
+    use std::hash::{Hash, Hasher};
+
+    let mut hasher = DefaultHasher::new();
+    rules.hash(&mut hasher);
+    format!("fetch-with-render-{:016x}", hasher.finish())
+}
+
+/// Directory WebKitGTK keeps compiled content rules in
+#[cfg(target_os = "linux")]
+fn rules_store_path() -> std::path::PathBuf {
+    std::env::temp_dir().join("fetch-with-render-content-rules")
+}
+
+/// The URL a fetched body can be loaded at
+fn document_url(url: &str) -> Option<&str> {
+    let scheme = url.split(':').next().unwrap_or_default();
+    (scheme.eq_ignore_ascii_case("http") || scheme.eq_ignore_ascii_case("https")).then_some(url)
+}
@@ -25,4 +25,12 @@ try {
   );
 }
 
-export const { renderPage } = nativeModule;
+export const {
+  openPage,
+  pageGoto,
+  pageEvaluate,
+  pageClose,
+  startRender,
+  pollRenders,
+  cancelRender,
+} = nativeModule;
@@ -0,0 +1,700 @@
+// Initialization script injected into every rendered page by setup_render()
+// in lib.rs. The render options are available as window.__fwrConfig, which
+// is defined right before this script runs.
+(function() {
+    const config = window.__fwrConfig || {};
+
+    window.__renderReady = false;
+    window.__selector = config.selector;
+    window.__customScript = config.customScript;
+
+    // The `waitUntil` strategy decides when the page counts as ready; the
+    // idle ones need `idleTime` milliseconds without network or DOM activity
+    const waitUntil = config.waitUntil || 'load';
+    const idleTime = config.idleTime ?? 500;
+    let domContentLoaded = false;
+
+    // Milestones are timed by the native side when the messages arrive
+    window.ipc.postMessage('EVENT:start');
+
+    document.addEventListener('DOMContentLoaded', () => {
+        domContentLoaded = true;
+        window.ipc.postMessage('EVENT:domcontentloaded');
+    });
+
+    window.addEventListener('load', () => {
+        window.__renderReady = true;
+        window.ipc.postMessage('EVENT:load');
+    });
+
+    // Forward console output and uncaught errors to Node as CONSOLE: messages
+    const describe = (value) => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) {
+            // V8 stacks start with the message, WebKit stacks only list frames
+            const stack = value.stack || '';
+            if (stack.startsWith(String(value))) return stack;
+            return stack ? String(value) + '\n' + stack : String(value);
+        }
+        try {
+            const json = JSON.stringify(value);
+            if (json !== undefined) return json;
+        } catch (e) {
+            // Circular structures fall through to String()
+        }
+        return String(value);
+    };
+
+    const reportConsole = (message) => {
+        window.ipc.postMessage('CONSOLE:' + JSON.stringify(message));
+    };
+
+    for (const type of ['log', 'info', 'warn', 'error', 'debug']) {
+        const original = console[type];
+        console[type] = function(...args) {
+            reportConsole({ type, text: args.map(describe).join(' ') });
+            return original.apply(console, args);
+        };
+    }
+
+    window.addEventListener('error', (event) => {
+        reportConsole({
+            type: 'pageerror',
+            text: event.error ? describe(event.error) : event.message,
+            url: event.filename || undefined,
+            line: event.lineno || undefined,
+            column: event.colno || undefined,
+        });
+    });
+
+    window.addEventListener('unhandledrejection', (event) => {
+        reportConsole({
+            type: 'pageerror',
+            text: 'Unhandled promise rejection: ' + describe(event.reason),
+        });
+    });
+
+    // Network idleness: fetch/XHR requests are counted while in flight. For
+    // networkidle0, other resources (images, scripts...) finishing also
+    // restart the idle window, since they can't be counted.
+    const maxInFlight = waitUntil === 'networkidle2' ? 2 : 0;
+    let inFlight = 0;
+    let networkBusy = false;
+    let networkQuietSince = Date.now();
+
+    const networkActivity = (delta) => {
+        inFlight += delta;
+        if (inFlight > maxInFlight) {
+            networkBusy = true;
+        } else if (networkBusy) {
+            networkBusy = false;
+            networkQuietSince = Date.now();
+        }
+    };
+
+    // DOM stability: time of the last mutation anywhere in the document
+    let domQuietSince = Date.now();
+
+    if (waitUntil === 'networkidle0' || waitUntil === 'networkidle2') {
+        const trackedFetch = window.fetch;
+        window.fetch = function(...args) {
+            networkActivity(1);
+            return trackedFetch.apply(window, args).finally(() => networkActivity(-1));
+        };
+
+        const trackedSend = XMLHttpRequest.prototype.send;
+        XMLHttpRequest.prototype.send = function() {
+            networkActivity(1);
+            this.addEventListener('loadend', () => networkActivity(-1), { once: true });
+            return trackedSend.apply(this, arguments);
+        };
+
+        if (maxInFlight === 0 && window.PerformanceObserver) {
+            new PerformanceObserver(() => {
+                networkQuietSince = Date.now();
+            }).observe({ type: 'resource' });
+        }
+    } else if (waitUntil === 'domstable') {
+        new MutationObserver(() => {
+            domQuietSince = Date.now();
+        }).observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+    }
+
+    const isReady = () => {
+        switch (waitUntil) {
+            case 'domcontentloaded':
+                return domContentLoaded;
+            case 'networkidle0':
+            case 'networkidle2':
+                return window.__renderReady && !networkBusy && Date.now() - networkQuietSince >= idleTime;
+            case 'domstable':
+                return window.__renderReady && Date.now() - domQuietSince >= idleTime;
+            default:
+                return window.__renderReady;
+        }
+    };
+
+    const toAbsoluteUrl = (url) => {
+        try {
+            return new URL(url, document.baseURI).href;
+        } catch (e) {
+            return String(url);
+        }
+    };
+
+    // Add the originating request headers to same-origin fetch/XHR requests
+    if (config.forwardHeaders) {
+        const skipped = ['cookie', 'host', 'user-agent', 'content-length'];
+        const forwarded = Object.entries(config.forwardHeaders)
+            .filter(([name]) => !skipped.includes(name.toLowerCase()));
+
+        // Scripts can't set a Cookie header, so the cookies go into the
+        // cookie store for the rendered URL instead, and the engine sends
+        // them with every request to it, markup resources included. Only
+        // cookies the page doesn't have yet are added, so those it changed
+        // survive its navigations.
+        const cookie = Object.entries(config.forwardHeaders)
+            .find(([name]) => name.toLowerCase() === 'cookie');
+        let ownOrigin = false;
+        try {
+            ownOrigin = window.top === window && location.origin === new URL(config.url).origin;
+        } catch (e) {
+            // No URL to compare with
+        }
+        if (cookie && ownOrigin) {
+            const present = new Set(document.cookie.split(';').map((pair) => pair.split('=')[0].trim()));
+            for (const pair of cookie[1].split(';')) {
+                const name = pair.split('=')[0].trim();
+                if (!pair.includes('=') || present.has(name)) continue;
+                document.cookie = pair.trim() + '; path=/';
+            }
+        }
+        const isSameOrigin = (url) => {
+            try {
+                return new URL(url, document.baseURI).origin === new URL(document.baseURI).origin;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        const originalFetch = window.fetch;
+        window.fetch = function(input, init) {
+            const request = new Request(input, init);
+            if (!isSameOrigin(request.url)) return originalFetch.call(window, input, init);
+            const headers = new Headers(request.headers);
+            for (const [name, value] of forwarded) {
+                if (!headers.has(name)) headers.set(name, value);
+            }
+            return originalFetch.call(window, new Request(request, { headers }));
+        };
+
+        const xhrOpen = XMLHttpRequest.prototype.open;
+        const xhrSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+        const xhrSend = XMLHttpRequest.prototype.send;
+        XMLHttpRequest.prototype.open = function(method, url) {
+            this.__forward = isSameOrigin(url);
+            this.__headersSet = new Set();
+            return xhrOpen.apply(this, arguments);
+        };
+        XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+            if (this.__headersSet) this.__headersSet.add(name.toLowerCase());
+            return xhrSetRequestHeader.call(this, name, value);
+        };
+        XMLHttpRequest.prototype.send = function() {
+            if (this.__forward) {
+                for (const [name, value] of forwarded) {
+                    if (!this.__headersSet.has(name.toLowerCase())) {
+                        xhrSetRequestHeader.call(this, name, value);
+                    }
+                }
+            }
+            return xhrSend.apply(this, arguments);
+        };
+    }
+
+    // Report resources refused by the policy enforcing block.resourceTypes
+    if (config.blockPolicy) {
+        document.addEventListener('securitypolicyviolation', (event) => {
+            if (event.originalPolicy === config.blockPolicy) {
+                window.ipc.postMessage('BLOCKED:' + event.blockedURI);
+            }
+        });
+    }
+
+    // Describes what to screenshot, in document coordinates. The element is
+    // found with the same querySelector lookup used for `selector`.
+    const captureArea = ({ fullPage, clip, selector }) => {
+        let area = clip || null;
+        if (selector) {
+            const el = document.querySelector(selector);
+            if (!el) return { error: 'No element matches selector ' + selector };
+            const rect = el.getBoundingClientRect();
+            area = {
+                x: rect.left + window.scrollX,
+                y: rect.top + window.scrollY,
+                width: rect.width,
+                height: rect.height,
+            };
+        }
+
+        const fullDocument = Boolean(fullPage || area);
+        const root = document.documentElement;
+        return {
+            clip: area,
+            fullDocument,
+            width: fullDocument ? root.scrollWidth : window.innerWidth,
+            height: fullDocument ? root.scrollHeight : window.innerHeight,
+        };
+    };
+
+    // Runs the evaluate() expression once the HTML is captured. Promises are
+    // awaited and the value comes back as JSON in an EVALUATE: message.
+    const evaluate = (source) => {
+        Promise.resolve()
+            .then(() => (0, eval)(source))
+            .then((value) => ({ json: JSON.stringify(value) }))
+            .catch((e) => ({ error: e instanceof Error ? e.message : describe(e) }))
+            .then((outcome) => window.ipc.postMessage('EVALUATE:' + JSON.stringify(outcome)));
+    };
+
+    // Used by the native side to evaluate expressions in open pages
+    window.__fwrEvaluate = evaluate;
+
+    // Pages can tell the renderer when to capture by calling
+    // window.fetchWithRender.ready(payload). The first call counts; its
+    // payload is returned as JSON with the result.
+    const signal = { sent: false, json: undefined };
+
+    window.fetchWithRender = Object.freeze({
+        ready(payload) {
+            if (signal.sent) return;
+            signal.sent = true;
+            try {
+                signal.json = JSON.stringify(payload);
+            } catch (e) {
+                console.error('fetchWithRender.ready() payload is not serializable:', e);
+            }
+        },
+    });
+
+    // With `waitForSignal`, the ready() call replaces waitUntil and waitFor
+    const isCaptureReady = () => (config.waitForSignal ? signal.sent : isReady());
+    const waitCondition = config.waitForSignal ? undefined : config.waitFor;
+
+    // Wait conditions, as normalized by toWaitCondition() in page.mjs: a CSS
+    // selector string, or an object combining conditions with `any`/`all`,
+    // polling a `function` source, or matching elements by `selector`,
+    // `xpath` and/or `text` with `visible`, `hidden` and a minimum `count`.
+    const isVisible = (node) => {
+        const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!el) return false;
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+    };
+
+    const findNodes = ({ selector, xpath }) => {
+        if (xpath) {
+            const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const nodes = [];
+            for (let i = 0; i < result.snapshotLength; i++) nodes.push(result.snapshotItem(i));
+            return nodes;
+        }
+        if (selector) return Array.from(document.querySelectorAll(selector));
+        return document.body ? [document.body] : [];
+    };
+
+    // Functions are only called every `polling` milliseconds; in between,
+    // and while a returned promise is pending, the last outcome stands
+    const pollFunction = (condition) => {
+        const now = Date.now();
+        if (condition.pending || now - (condition.checkedAt || 0) < (condition.polling ?? 100)) {
+            return Boolean(condition.result);
+        }
+        condition.checkedAt = now;
+        try {
+            const value = (0, eval)(condition.function);
+            if (value && typeof value.then === 'function') {
+                condition.pending = true;
+                value.then(
+                    (resolved) => { condition.result = resolved; },
+                    () => { condition.result = false; }
+                ).then(() => { condition.pending = false; });
+            } else {
+                condition.result = value;
+            }
+        } catch (e) {
+            condition.result = false;
+        }
+        return Boolean(condition.result);
+    };
+
+    const matches = (condition) => {
+        if (typeof condition === 'string') return Boolean(document.querySelector(condition));
+        if (condition.any) return condition.any.some(matches);
+        if (condition.all) return condition.all.every(matches);
+        if (condition.function !== undefined) return pollFunction(condition);
+
+        let nodes = findNodes(condition);
+        if (condition.text !== undefined) {
+            nodes = nodes.filter((node) => (node.innerText ?? node.textContent ?? '').includes(condition.text));
+        }
+        if (condition.hidden) return !nodes.some(isVisible);
+        if (condition.visible) nodes = nodes.filter(isVisible);
+        return nodes.length >= (condition.count ?? 1);
+    };
+
+    // Steps of the `actions` option, also used by the Page methods. Each step
+    // is an object whose key names the action, like { click: '#more' }.
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    const findElement = (selector) => {
+        const el = document.querySelector(selector);
+        if (!el) throw new Error('No element matches selector ' + selector);
+        return el;
+    };
+
+    const actions = {
+        click(selector) {
+            const el = findElement(selector);
+            el.scrollIntoView({ block: 'center' });
+            el.click();
+        },
+
+        type([selector, text]) {
+            const el = findElement(selector);
+            el.focus();
+
+            // Set the value through the prototype setter so frameworks
+            // tracking the property (React and the like) see the change
+            const setValue = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+
+            for (const key of String(text)) {
+                el.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+                if (el.isContentEditable) {
+                    document.execCommand('insertText', false, key);
+                } else if (setValue) {
+                    setValue.call(el, el.value + key);
+                }
+                el.dispatchEvent(new InputEvent('input', { data: key, inputType: 'insertText', bubbles: true }));
+                el.dispatchEvent(new KeyboardEvent('keyup', { key, bubbles: true }));
+            }
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+
+        select([selector, value]) {
+            const el = findElement(selector);
+            if (!(el instanceof HTMLSelectElement)) {
+                throw new Error('Element matching ' + selector + ' is not a <select>');
+            }
+            const values = [].concat(value).map(String);
+            for (const option of el.options) {
+                option.selected = values.includes(option.value);
+            }
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+
+        scroll(target) {
+            if (target === 'bottom') {
+                window.scrollTo(0, document.documentElement.scrollHeight);
+            } else if (target === 'top') {
+                window.scrollTo(0, 0);
+            } else if (typeof target === 'number') {
+                window.scrollTo(0, target);
+            } else {
+                findElement(target).scrollIntoView({ block: 'center' });
+            }
+        },
+
+        // Without a timeout, the render timeout bounds the wait
+        async waitFor(condition, { timeout }) {
+            const started = Date.now();
+            while (!matches(condition)) {
+                if (timeout !== undefined && Date.now() - started > timeout) {
+                    const target = typeof condition === 'string' ? 'selector ' + condition : 'condition';
+                    throw new Error('Timed out after ' + timeout + 'ms waiting for ' + target);
+                }
+                await sleep(50);
+            }
+        },
+
+        wait(ms) {
+            return sleep(ms);
+        },
+    };
+
+    const runAction = async (step) => {
+        const name = Object.keys(step || {}).find(
+            (key) => Object.prototype.hasOwnProperty.call(actions, key)
+        );
+        if (!name) throw new Error('Unknown action ' + JSON.stringify(step));
+        await actions[name](step[name], step);
+        // Let the page react before the next step
+        await sleep(0);
+    };
+
+    window.__fwrRunAction = runAction;
+
+    // The `actions` steps run once the page is ready, before waiting for
+    // `waitFor`. A failing step is reported and the HTML is never captured.
+    let actionsDone = !(config.actions && config.actions.length);
+    let actionsStarted = false;
+
+    const runActions = async () => {
+        actionsStarted = true;
+        for (const [index, step] of config.actions.entries()) {
+            try {
+                await runAction(step);
+            } catch (e) {
+                const message = e instanceof Error ? e.message : describe(e);
+                window.ipc.postMessage(
+                    'ACTIONERROR:Step ' + (index + 1) + ' ' + JSON.stringify(step) + ' failed: ' + message
+                );
+                return;
+            }
+        }
+        actionsDone = true;
+    };
+
+    // The `extract` option builds an object from the DOM with the schema
+    // parsed by extract.mjs: values read the text or an attribute of the
+    // first match (or every match with `all`), coerced to `type`, and
+    // objects read their fields in the scope of `root`
+    const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster', 'cite', 'data'];
+
+    const readValue = (el, { attribute, type }) => {
+        if (!el) return type === 'boolean' ? false : null;
+
+        let value;
+        if (!attribute) {
+            value = el.textContent.replace(/\s+/g, ' ').trim();
+        } else if (attribute === 'html') {
+            value = el.innerHTML.trim();
+        } else {
+            value = el.getAttribute(attribute);
+            if (value !== null && URL_ATTRIBUTES.includes(attribute)) {
+                value = toAbsoluteUrl(value);
+            }
+        }
+
+        switch (type) {
+            case 'boolean':
+                return value !== null;
+            case 'number':
+            case 'int': {
+                // The first number in the value, such as 1299.99 in '$1,299.99'
+                const match = value === null ? null : /-?(?:\d[\d,]*(?:\.\d+)?|\.\d+)/.exec(value);
+                if (!match) return null;
+                const number = parseFloat(match[0].replace(/,/g, ''));
+                return type === 'int' ? Math.trunc(number) : number;
+            }
+            case 'date': {
+                const time = value === null ? NaN : Date.parse(value);
+                return Number.isNaN(time) ? null : new Date(time).toISOString();
+            }
+            default:
+                return value;
+        }
+    };
+
+    const extract = (schema, scope) => {
+        const selector = schema.fields ? schema.root : schema.selector;
+        const matches = !selector
+            ? [scope]
+            : schema.all
+                ? Array.from(scope.querySelectorAll(selector))
+                : [scope.querySelector(selector)];
+
+        const values = matches.map((el) => {
+            if (!schema.fields) return readValue(el, schema);
+            if (!el) return null;
+            const object = {};
+            for (const [key, field] of Object.entries(schema.fields)) {
+                object[key] = extract(field, el);
+            }
+            return object;
+        });
+        return schema.all ? values : values[0];
+    };
+
+    window.__fwrExtract = (schema) => extract(schema, document);
+
+    // Metadata returned with every render, read when the HTML is captured
+    // since pages often add these tags from scripts. Meta tags repeated
+    // under one name, such as og:image, give arrays.
+    const readMetadata = () => {
+        const addValue = (object, key, value) => {
+            if (!(key in object)) object[key] = value;
+            else if (Array.isArray(object[key])) object[key].push(value);
+            else object[key] = [object[key], value];
+        };
+
+        const meta = {};
+        const openGraph = {};
+        const twitter = {};
+        for (const el of document.querySelectorAll('meta[content]')) {
+            const key = el.getAttribute('property') || el.getAttribute('name')
+                || el.getAttribute('http-equiv') || el.getAttribute('itemprop');
+            if (!key) continue;
+            const value = el.getAttribute('content');
+            addValue(meta, key, value);
+            if (key.startsWith('og:')) addValue(openGraph, key.slice(3), value);
+            if (key.startsWith('twitter:')) addValue(twitter, key.slice(8), value);
+        }
+
+        const jsonLd = [];
+        for (const el of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                jsonLd.push(JSON.parse(el.textContent));
+            } catch (e) {
+                // Blocks that aren't valid JSON are left out
+            }
+        }
+
+        const links = (test) => Array.from(document.querySelectorAll('link[rel][href]'))
+            .filter((el) => Array.from(el.relList).some(test));
+        const canonical = links((rel) => rel === 'canonical')[0];
+
+        return {
+            title: document.title,
+            meta,
+            openGraph,
+            twitter,
+            jsonLd,
+            canonical: canonical ? toAbsoluteUrl(canonical.getAttribute('href')) : null,
+            alternates: links((rel) => rel === 'alternate').map((el) => ({
+                href: toAbsoluteUrl(el.getAttribute('href')),
+                hreflang: el.getAttribute('hreflang') || undefined,
+                type: el.getAttribute('type') || undefined,
+                media: el.getAttribute('media') || undefined,
+                title: el.getAttribute('title') || undefined,
+            })),
+            icons: links((rel) => rel === 'icon' || rel.endsWith('-icon') || rel.startsWith('apple-touch-icon'))
+                .map((el) => ({
+                    href: toAbsoluteUrl(el.getAttribute('href')),
+                    rel: el.getAttribute('rel'),
+                    sizes: el.getAttribute('sizes') || undefined,
+                    type: el.getAttribute('type') || undefined,
+                })),
+        };
+    };
+
+    // The `assets` option lists what the page links to and loads, with
+    // absolute URLs and each URL once, along with the resources it requested
+    const readAssets = () => {
+        const unique = (items) => {
+            const seen = new Set();
+            return items.filter((item) => !seen.has(item.url) && seen.add(item.url));
+        };
+        const urls = (selector, attribute) => unique(
+            Array.from(document.querySelectorAll(selector), (el) => ({ url: toAbsoluteUrl(el.getAttribute(attribute)) }))
+        ).map((item) => item.url);
+        const origin = new URL(document.baseURI).origin;
+
+        return {
+            links: unique(Array.from(document.querySelectorAll('a[href], area[href]'))
+                .filter((el) => !/^\s*javascript:/i.test(el.getAttribute('href')))
+                .map((el) => {
+                    const url = toAbsoluteUrl(el.getAttribute('href'));
+                    const rel = Array.from(el.relList);
+                    let external = false;
+                    try {
+                        external = new URL(url).origin !== origin;
+                    } catch (e) {
+                        // Not a URL with an origin
+                    }
+                    return {
+                        url,
+                        text: (el.textContent || el.getAttribute('alt') || '').replace(/\s+/g, ' ').trim(),
+                        rel,
+                        nofollow: rel.includes('nofollow'),
+                        external,
+                    };
+                })),
+            images: unique(Array.from(document.querySelectorAll('img[src], img[srcset]'), (el) => ({
+                url: toAbsoluteUrl(el.currentSrc || el.getAttribute('src')),
+                alt: el.getAttribute('alt'),
+            }))),
+            scripts: urls('script[src]', 'src'),
+            stylesheets: urls('link[href][rel~="stylesheet"]', 'href'),
+            iframes: urls('iframe[src]', 'src'),
+            forms: unique(Array.from(document.querySelectorAll('form'), (el) => ({
+                url: toAbsoluteUrl(el.getAttribute('action') || location.href),
+                method: (el.getAttribute('method') || 'get').toLowerCase(),
+            }))),
+            requests: unique(performance.getEntriesByType('resource').map((entry) => ({
+                url: entry.name,
+                type: entry.initiatorType,
+            }))),
+        };
+    };
+
+    // The document is captured once, so `script` runs once even when the
+    // timeout forces a capture right after a regular one. A page kept open
+    // resets this before it navigates, in case the document stays the same.
+    let captured = false;
+    window.__fwrRecapture = () => {
+        captured = false;
+    };
+
+    // With `force`, the HTML is captured even though the page isn't ready,
+    // which the native side does when the timeout expires
+    window.checkAndExtract = function(force) {
+        if (captured) return true;
+
+        if (!force && isCaptureReady() && !actionsDone) {
+            if (!actionsStarted) runActions();
+            return false;
+        }
+
+        const waitForMatched = !waitCondition || matches(waitCondition);
+        if (!force && !(isCaptureReady() && waitForMatched)) return false;
+        captured = true;
+
+        if (window.__customScript) {
+            try {
+                eval(window.__customScript);
+            } catch(e) {
+                console.error('Script error:', e);
+            }
+        }
+
+        // `selector` takes the first match and `selectorAll` every match,
+        // reading `property` (outerHTML, innerHTML or textContent) of each
+        const property = config.property || 'outerHTML';
+        let html = '';
+        let selectorMatched;
+        let elements;
+        if (config.selectorAll) {
+            elements = Array.from(document.querySelectorAll(config.selectorAll), (el) => el[property] ?? '');
+        } else if (window.__selector) {
+            const el = document.querySelector(window.__selector);
+            selectorMatched = Boolean(el);
+            html = el ? el[property] ?? '' : '';
+        } else {
+            html = document.documentElement.outerHTML;
+        }
+
+        if (config.screenshot) {
+            window.ipc.postMessage('CAPTURE:' + JSON.stringify(captureArea(config.screenshot)));
+        }
+
+        window.ipc.postMessage('PAGE:' + JSON.stringify({
+            url: location.href,
+            title: document.title,
+            waitForMatched: waitCondition ? waitForMatched : undefined,
+            signal: signal.json,
+            selectorMatched,
+            elements,
+            metadata: JSON.stringify(readMetadata()),
+            assets: config.assets ? JSON.stringify(readAssets()) : undefined,
+        }));
+        window.ipc.postMessage('HTML:' + html);
+
+        if (config.evaluate) {
+            evaluate(config.evaluate);
+        }
+        return true;
+    };
+})();
@@ -0,0 +1,58 @@
+/**
+ * Worker process for pages opened with RenderableResponse.open().
+ *
+ * Each page gets its own worker, which keeps the native WebView alive
+ * between calls. It receives {id, method, args} commands via IPC and
+ * answers each with {id, result} or {id, error}.
+ */
+
+import { openPage, pageGoto, pageEvaluate, pageClose } from './native.mjs';
+
+let pageId;
+let onConsole;
+
+const methods = {
+  open(url, options, reportConsole) {
+    // Relay console messages to the parent while a command runs
+    onConsole = reportConsole
+      ? (message) => process.send({ console: message })
+      : undefined;
+    pageId = openPage(url, options, onConsole);
+  },
+
+  goto(url, timeout) {
+    return pageGoto(pageId, url, timeout, onConsole).finalUrl;
+  },
+
+  evaluate(source, timeout) {
+    return pageEvaluate(pageId, source, timeout, onConsole);
+  },
+
+  close() {
+    pageClose(pageId);
+  },
+};
+
+// Listen for commands from parent process
+process.on('message', ({ id, method, args }) => {
+  try {
+    const result = methods[method](...args);
+
+    // Send result back to parent; the worker is done once the page is closed
+    process.send({ id, result }, () => {
+      if (method === 'close') {
+        process.exit(0);
+      }
+    });
+  } catch (error) {
+    process.send({ id, error: error.message || String(error) });
+  }
+});
+
+// The page goes away with its parent
+process.on('disconnect', () => {
+  process.exit(0);
+});
+
+// Signal ready
+process.send({ ready: true });
@@ -0,0 +1,325 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { unresponsiveAfter } from './render-pool.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Builds the expression evaluate() runs in the page: a string is used as
+ * is, a function is serialized and applied to the JSON-encoded arguments.
+ */
+export function toEvaluationSource(pageFunction, args) {
+  if (typeof pageFunction === 'function') {
+    return `(${pageFunction.toString()}).apply(null, ${JSON.stringify(args)})`;
+  }
+  if (typeof pageFunction === 'string') {
+    if (args.length > 0) {
+      throw new TypeError('evaluate() only passes arguments to functions');
+    }
+    return pageFunction;
+  }
+  throw new TypeError('evaluate() expects a function or a string');
+}
+
+/**
+ * Turns a predicate for the page into the expression polled there: a
+ * function is called without arguments, a string is evaluated as is.
+ */
+function toPredicateSource(predicate) {
+  if (typeof predicate === 'function') {
+    return `(${predicate.toString()})()`;
+  }
+  if (typeof predicate === 'string') {
+    return predicate;
+  }
+  throw new TypeError('waitForFunction expects a function or a string');
+}
+
+/**
+ * Normalizes a wait condition into the JSON form page-script.js matches:
+ * arrays become `all`, functions become `function` sources.
+ */
+export function toCondition(condition) {
+  if (typeof condition === 'string') {
+    return condition;
+  }
+  if (typeof condition === 'function') {
+    return { function: toPredicateSource(condition) };
+  }
+  if (Array.isArray(condition)) {
+    return { all: condition.map(toCondition) };
+  }
+  if (condition && typeof condition === 'object') {
+    if (Array.isArray(condition.any)) {
+      return { any: condition.any.map(toCondition) };
+    }
+    if (Array.isArray(condition.all)) {
+      return { all: condition.all.map(toCondition) };
+    }
+    if (condition.function !== undefined) {
+      return { function: toPredicateSource(condition.function), polling: condition.polling };
+    }
+    if (condition.selector !== undefined || condition.xpath !== undefined || condition.text !== undefined) {
+      const { selector, xpath, text, visible, hidden, count } = condition;
+      return { selector, xpath, text, visible, hidden, count };
+    }
+  }
+  throw new TypeError(`Invalid wait condition ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Combines the `waitFor`, `waitForFunction` and `waitForText` options into
+ * one condition that must all hold, or undefined when none is set.
+ */
+export function toWaitCondition({ waitFor, waitForFunction, waitForText, polling }) {
+  const conditions = [];
+  if (waitFor !== undefined) {
+    conditions.push(toCondition(waitFor));
+  }
+  if (waitForFunction !== undefined) {
+    conditions.push(toCondition({ function: waitForFunction, polling }));
+  }
+  if (waitForText !== undefined) {
+    conditions.push({ text: String(waitForText) });
+  }
+  if (conditions.length === 0) {
+    return undefined;
+  }
+  return conditions.length === 1 ? conditions[0] : { all: conditions };
+}
+
+// Time the page-side wait gets to reject before the native call gives up
+const WAIT_MARGIN = 1000;
+
+// Longest a worker process may take to start
+const START_TIMEOUT = 10000;
+
+/**
+ * Page - A page kept open in a native WebView across calls, returned by
+ * RenderableResponse.open(). Each page lives in its own worker process,
+ * which works around macOS EventLoop limitations like render() does, and
+ * only runs while one of its methods is in progress.
+ */
+export class Page {
+  #child;
+  #url;
+  #timeout;
+  #onConsole;
+  #pending = new Map();
+  #nextId = 0;
+  #closed = false;
+
+  /**
+   * @private Use RenderableResponse.open()
+   */
+  constructor(child, url, { timeout = 5000, onConsole } = {}) {
+    this.#child = child;
+    this.#url = url;
+    this.#timeout = timeout;
+    this.#onConsole = onConsole;
+
+    child.on('message', (message) => {
+      if (message.console) {
+        this.#onConsole?.(message.console);
+        return;
+      }
+      const call = this.#pending.get(message.id);
+      if (call) {
+        this.#pending.delete(message.id);
+        clearTimeout(call.killTimeout);
+        if (message.error) {
+          call.reject(new Error(message.error));
+        } else {
+          call.resolve(message.result);
+        }
+      }
+    });
+
+    child.on('exit', (code) => {
+      this.#closed = true;
+      for (const call of this.#pending.values()) {
+        clearTimeout(call.killTimeout);
+        call.reject(new Error(`Page process exited with code ${code}`));
+      }
+      this.#pending.clear();
+    });
+  }
+
+  /**
+   * Starts a worker process and opens the page in it.
+   *
+   * @private
+   * @param {string} url - URL of the page
+   * @param {Object} options - Native render options (timeout, html, headers, block...)
+   * @param {Function} [onConsole] - Called with each console message
+   * @returns {Promise<Page>}
+   */
+  static async open(url, options, onConsole) {
+    // Output is ignored, like that of the pool's workers
+    const child = fork(join(__dirname, 'page-worker.js'), [], {
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+    });
+
+    await new Promise((resolve, reject) => {
+      const onMessage = (message) => message.ready && settle();
+      const onError = (error) => settle(error);
+      const onExit = (code) => settle(new Error(`Page process exited with code ${code}`));
+      const startTimeout = setTimeout(() => {
+        child.kill();
+        settle(new Error(`Page process didn't start within ${START_TIMEOUT}ms`));
+      }, START_TIMEOUT);
+
+      const settle = (error) => {
+        clearTimeout(startTimeout);
+        child.off('message', onMessage);
+        child.off('error', onError);
+        child.off('exit', onExit);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      child.on('message', onMessage);
+      child.on('error', onError);
+      child.on('exit', onExit);
+    });
+
+    const page = new Page(child, url, { timeout: options.timeout, onConsole });
+    try {
+      await page.#call('open', [url, options, Boolean(onConsole)], options.timeout);
+    } catch (error) {
+      child.kill();
+      throw error;
+    }
+    return page;
+  }
+
+  /**
+   * URL of the page as of the last goto()
+   */
+  get url() {
+    return this.#url;
+  }
+
+  /**
+   * Evaluates a function or expression in the page and resolves with its
+   * value, like RenderableResponse.evaluate(). Promises are awaited.
+   *
+   * @param {Function|string} pageFunction - Function to call in the page, or an expression
+   * @param {...*} args - JSON-serializable arguments passed to the function
+   * @returns {Promise<*>} The value, round-tripped through JSON
+   */
+  async evaluate(pageFunction, ...args) {
+    return this.#evaluate(toEvaluationSource(pageFunction, args), this.#timeout);
+  }
+
+  /**
+   * Clicks the first element matching a selector.
+   *
+   * @param {string} selector - CSS selector of the element
+   */
+  async click(selector) {
+    await this.#runAction({ click: selector }, this.#timeout);
+  }
+
+  /**
+   * Types text into the first element matching a selector, one character
+   * at a time, firing keyboard and input events.
+   *
+   * @param {string} selector - CSS selector of an input, textarea or contenteditable element
+   * @param {string} text - Text to type
+   */
+  async type(selector, text) {
+    await this.#runAction({ type: [selector, String(text)] }, this.#timeout);
+  }
+
+  /**
+   * Waits until an element matches a selector, or until a wait condition
+   * holds, as for the `waitFor` render option.
+   *
+   * @param {string|Object|Array|Function} condition - CSS selector or wait condition
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Maximum time to wait in milliseconds (defaults to the page timeout)
+   */
+  async waitFor(condition, { timeout = this.#timeout } = {}) {
+    await this.#runAction({ waitFor: toCondition(condition), timeout }, timeout + WAIT_MARGIN);
+  }
+
+  /**
+   * Returns the current HTML of the page.
+   *
+   * @returns {Promise<string>}
+   */
+  async content() {
+    return this.evaluate('document.documentElement.outerHTML');
+  }
+
+  /**
+   * Navigates to a URL, resolved against the current one, and waits until
+   * the new page has loaded.
+   *
+   * @param {string} url - URL to navigate to
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Maximum time to wait in milliseconds (defaults to the page timeout)
+   */
+  async goto(url, { timeout = this.#timeout } = {}) {
+    const target = new URL(url, this.#url).href;
+    this.#url = await this.#call('goto', [target, timeout], timeout);
+  }
+
+  /**
+   * Closes the page and its worker process. Calling it again does nothing.
+   */
+  async close() {
+    if (this.#closed) {
+      return;
+    }
+    await this.#call('close', [], this.#timeout).catch(() => {});
+    this.#closed = true;
+    this.#child.kill();
+  }
+
+  /**
+   * Runs one step of the `actions` render option in the page, with the
+   * implementation page-script.js provides.
+   *
+   * @private
+   */
+  async #runAction(step, timeout) {
+    await this.#evaluate(`window.__fwrRunAction(${JSON.stringify(step)})`, timeout);
+  }
+
+  async #evaluate(source, timeout) {
+    const json = await this.#call('evaluate', [source, timeout], timeout);
+    return json == null ? undefined : JSON.parse(json);
+  }
+
+  /**
+   * Sends a command to the worker. The command reports its own timeout;
+   * a worker that stops answering is killed, as in a RenderPool, which
+   * closes the page.
+   *
+   * @private
+   */
+  #call(method, args, timeout = this.#timeout) {
+    if (this.#closed) {
+      return Promise.reject(new Error('PageClosedError: Page is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.#nextId;
+      const killTimeout = setTimeout(() => {
+        this.#pending.delete(id);
+        this.#child.kill();
+        // The error the command itself would have failed with
+        reject(new Error('RenderTimeoutError: Rendering timed out'));
+      }, unresponsiveAfter({ timeout }));
+
+      this.#pending.set(id, { resolve, reject, killTimeout });
+      this.#child.send({ id, method, args });
+    });
+  }
+}
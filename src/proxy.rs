@@ -0,0 +1,198 @@
+//! Routing a render's requests through the proxy of the `onRequest` hook.
+//!
+//! The proxy, started by request-proxy.mjs, answers HTTPS requests with
+//! certificates issued by a certificate authority of its own. Only the
+//! WebView of the render accepts them, however each engine allows it:
+//! WebKitGTK ignores certificate errors in the render's own web context,
+//! WKWebView checks the server trust against the authority in its
+//! navigation delegate, and WebView2 is told the hash of the key the
+//! proxy's certificates share. The proxy checks the certificates of the
+//! servers it connects to.
+
+use crate::ProxyOptions;
+use wry::{ProxyConfig, ProxyEndpoint, WebView};
+
+/// Proxy settings sending every request of the WebView to the proxy
+pub fn proxy_config(proxy: &ProxyOptions) -> ProxyConfig {
+    ProxyConfig::Http(ProxyEndpoint {
+        host: "127.0.0.1".to_string(),
+        port: proxy.port.to_string(),
+    })
+}
+
+/// Keeps the WebView of a render trusting the proxy's certificates until dropped
+pub struct ProxyTrust {
+    #[cfg(target_os = "macos")]
+    webview: usize,
+}
+
+/// Makes the WebView accept the certificates of the proxy. wry gives each
+/// WebView a web context of its own, so no other WebView is affected.
+#[cfg(target_os = "linux")]
+pub fn trust_proxy(webview: &WebView, _proxy: &ProxyOptions) -> ProxyTrust {
+    use webkit2gtk::{TLSErrorsPolicy, WebViewExt, WebsiteDataManagerExt};
+    use wry::WebViewExtUnix;
+
+    if let Some(manager) = webview.webview().website_data_manager() {
+        manager.set_tls_errors_policy(TLSErrorsPolicy::Ignore);
+    }
+    ProxyTrust {}
+}
+
+/// Makes the WebView accept the certificates of the proxy, which it checks
+/// against the proxy's certificate authority.
+#[cfg(target_os = "macos")]
+pub fn trust_proxy(webview: &WebView, proxy: &ProxyOptions) -> ProxyTrust {
+    use wry::WebViewExtMacOS;
+
+    let webview = webview.webview() as usize;
+    macos::trust(webview, &proxy.certificate);
+    ProxyTrust { webview }
+}
+
+/// Nothing to do once the WebView exists, see `browser_args`
+#[cfg(not(any(target_os = "linux", target_os = "macos")))]
+pub fn trust_proxy(_webview: &WebView, _proxy: &ProxyOptions) -> ProxyTrust {
+    ProxyTrust {}
+}
+
+#[cfg(target_os = "macos")]
+impl Drop for ProxyTrust {
+    fn drop(&mut self) {
+        macos::forget(self.webview);
+    }
+}
+
+/// Browser arguments accepting the certificates of the proxy, along with
+/// those wry passes by default. Loopback requests go through the proxy too.
+#[cfg(target_os = "windows")]
+pub fn browser_args(proxy: &ProxyOptions) -> String {
+    format!(
+        "--disable-features=msWebOOUI,msPdfOOUI,msSmartScreenProtection \
+         --proxy-bypass-list=<-loopback> --ignore-certificate-errors-spki-list={}",
+        proxy.public_key_hash
+    )
+}
+
+/// Web context of intercepted renders. WebView2 only applies browser
+/// arguments when it starts a browser process for a data directory, so
+/// these renders get a directory of their own.
+#[cfg(target_os = "windows")]
+pub fn web_context() -> wry::WebContext {
+    let directory = std::env::temp_dir().join(format!(
+        "fetch-with-render-intercept-{}",
+        std::process::id()
+    ));
+    wry::WebContext::new(Some(directory))
+}
+
+#[cfg(target_os = "macos")]
+mod macos {
+    use crate::capture::macos::{ns_string, release};
+    use block::Block;
+    use cocoa::base::{id, nil, BOOL, NO};
+    use objc::runtime::{class_addMethod, object_getClass, Class, Imp, Object, Sel};
+    use objc::{class, msg_send, sel, sel_impl};
+    use std::cell::RefCell;
+    use std::collections::HashMap;
+    use std::ffi::c_void;
+
+    // NSURLSessionAuthChallengeDisposition
+    const USE_CREDENTIAL: isize = 0;
+    const PERFORM_DEFAULT_HANDLING: isize = 1;
+    const CANCEL_CHALLENGE: isize = 2;
+
+    #[link(name = "Security", kind = "framework")]
+    extern "C" {
+        fn SecCertificateCreateWithData(allocator: *const c_void, data: id) -> id;
+        fn SecTrustSetAnchorCertificates(trust: id, anchors: id) -> i32;
+        fn SecTrustSetAnchorCertificatesOnly(trust: id, only: BOOL) -> i32;
+        fn SecTrustEvaluateWithError(trust: id, error: *mut id) -> bool;
+    }
+
+    thread_local! {
+        /// DER certificate of the proxy's authority, by WKWebView of intercepted renders
+        static AUTHORITIES: RefCell<HashMap<usize, id>> = RefCell::new(HashMap::new());
+    }
+
+    /// Registers the authority for the WKWebView, and adds the method that
+    /// answers server trust challenges to its navigation delegate
+    pub fn trust(webview: usize, certificate: &str) {
+        unsafe {
+            let encoded = ns_string(certificate);
+            let data: id = msg_send![class!(NSData), alloc];
+            let data: id = msg_send![data, initWithBase64EncodedString: encoded options: 0usize];
+            release(encoded);
+            if data == nil {
+                return;
+            }
+            if let Some(previous) =
+                AUTHORITIES.with(|authorities| authorities.borrow_mut().insert(webview, data))
+            {
+                release(previous);
+            }
+
+            // Adding a method that exists already does nothing
+            let delegate: id = msg_send![webview as id, navigationDelegate];
+            if delegate != nil {
+                let class = object_getClass(delegate) as *mut Class;
+                class_addMethod(
+                    class,
+                    sel!(webView:didReceiveAuthenticationChallenge:completionHandler:),
+                    std::mem::transmute::<extern "C" fn(&Object, Sel, id, id, id), Imp>(
+                        did_receive_challenge,
+                    ),
+                    c"v@:@@@?".as_ptr(),
+                );
+            }
+        }
+    }
+
+    /// Accepts the server trust of intercepted renders when it verifies
+    /// against the proxy's authority; other WebViews get the default handling
+    extern "C" fn did_receive_challenge(
+        _this: &Object,
+        _cmd: Sel,
+        webview: id,
+        challenge: id,
+        handler: id,
+    ) {
+        unsafe {
+            let handler = &*(handler as *const Block<(isize, id), ()>);
+            let space: id = msg_send![challenge, protectionSpace];
+            let trust: id = msg_send![space, serverTrust];
+            let authority = AUTHORITIES
+                .with(|authorities| authorities.borrow().get(&(webview as usize)).copied())
+                .filter(|_| trust != nil);
+            let Some(authority) = authority else {
+                return handler.call((PERFORM_DEFAULT_HANDLING, nil));
+            };
+
+            let certificate = SecCertificateCreateWithData(std::ptr::null(), authority);
+            if certificate == nil {
+                return handler.call((CANCEL_CHALLENGE, nil));
+            }
+            let anchors: id = msg_send![class!(NSArray), arrayWithObject: certificate];
+            SecTrustSetAnchorCertificates(trust, anchors);
+            SecTrustSetAnchorCertificatesOnly(trust, NO);
+            let trusted = SecTrustEvaluateWithError(trust, std::ptr::null_mut());
+            release(certificate);
+
+            if trusted {
+                let credential: id = msg_send![class!(NSURLCredential), credentialForTrust: trust];
+                handler.call((USE_CREDENTIAL, credential));
+            } else {
+                handler.call((CANCEL_CHALLENGE, nil));
+            }
+        }
+    }
+
+    /// Releases the authority of a WebView once its render ends
+    pub fn forget(webview: usize) {
+        if let Some(data) =
+            AUTHORITIES.with(|authorities| authorities.borrow_mut().remove(&webview))
+        {
+            unsafe { release(data) };
+        }
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Non-blocking native renders. The WebView event loop has to run on this
+ * thread, so instead of one call that blocks until the page is captured,
+ * renders are started with startRender() and the loop is run in short
+ * slices with pollRenders(). Between slices Node gets the thread back to
+ * run timers, I/O and other callbacks.
+ */
+
+// Longest the event loop runs before Node gets the thread back, in milliseconds
+const POLL_SLICE = 10;
+
+// Longest pause between slices while the pages are quiet, in milliseconds
+const MAX_IDLE_DELAY = 20;
+
+// Renders in progress by native render id
+const renders = new Map();
+let polling = false;
+
+// Pause before the next slice, which grows while slices make no progress
+let idleDelay = 0;
+
+/**
+ * Renders a page on the event loop of this process, resolving once it is
+ * captured. Renders started while others are in progress share the event
+ * loop.
+ *
+ * @param {string} url - URL of the page
+ * @param {Object} options - Options for the native render
+ * @param {Function} [onConsole] - Called with each console message of the page
+ * @param {AbortSignal} [signal] - Closes the window and rejects with the reason of the signal when it aborts
+ * @returns {Promise<Object>} The native render result
+ */
+export async function renderAsync(url, options, onConsole, signal) {
+  const { startRender, pollRenders, cancelRender } = await import('./native.js');
+  signal?.throwIfAborted();
+  const id = startRender(url, options);
+
+  const promise = new Promise((resolve, reject) => {
+    const onAbort = () => {
+      renders.delete(id);
+      cancelRender(id);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    renders.set(id, {
+      resolve: (result) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+      onConsole,
+    });
+  });
+
+  if (!polling) {
+    polling = true;
+    idleDelay = 0;
+    setImmediate(() => poll(pollRenders, cancelRender));
+  }
+  return promise;
+}
+
+/**
+ * Runs the event loop for one slice, settles the renders that finished and
+ * schedules the next slice while renders are in progress. Slices follow each
+ * other right away while the pages send console messages or results, and
+ * back off while they are quiet, so waiting isn't a busy loop.
+ *
+ * @private
+ */
+function poll(pollRenders, cancelRender) {
+  // Errors thrown by the hooks, by render id
+  const failed = new Map();
+  let progressed = false;
+  const callHook = (id, name, arg) => {
+    progressed = true;
+    if (failed.has(id)) return;
+    try {
+      return renders.get(id)?.[name]?.(arg);
+    } catch (error) {
+      failed.set(id, error);
+    }
+  };
+
+  let finished;
+  try {
+    finished = pollRenders(POLL_SLICE, (id, message) => callHook(id, 'onConsole', message));
+  } catch (error) {
+    // Hook errors are caught above, so the event loop itself failed
+    for (const render of renders.values()) {
+      render.reject(error);
+    }
+    renders.clear();
+    finished = [];
+  }
+
+  // A hook that throws fails only the render it belongs to
+  for (const [id, error] of failed) {
+    const render = renders.get(id);
+    if (!render) continue;
+    renders.delete(id);
+    cancelRender(id);
+    render.reject(error);
+  }
+
+  for (const { id, result, error } of finished) {
+    const render = renders.get(id);
+    if (!render) continue;
+    renders.delete(id);
+    if (result) {
+      render.resolve(result);
+    } else {
+      render.reject(new Error(error));
+    }
+  }
+
+  if (renders.size > 0) {
+    idleDelay = progressed || finished.length > 0 ? 0 : Math.min(Math.max(idleDelay * 2, 1), MAX_IDLE_DELAY);
+    if (idleDelay === 0) {
+      setImmediate(() => poll(pollRenders, cancelRender));
+    } else {
+      setTimeout(() => poll(pollRenders, cancelRender), idleDelay);
+    }
+  } else {
+    polling = false;
+  }
+}
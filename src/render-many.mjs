@@ -0,0 +1,195 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { fromWorkerResult, unresponsiveAfter } from './render-pool.mjs';
+import { anySignal, toNativeOptions, toRenderResult, toRenderValue } from './response.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Renders many pages, several at a time, and yields the outcome of each as
+ * it finishes, like an entry of Promise.allSettled():
+ * `{index, url, status: 'fulfilled', value}` with what render() would
+ * resolve with, or `{index, url, status: 'rejected', reason}`.
+ *
+ * The pages load in hidden windows on one event loop, in a worker process
+ * started for the iteration, so this process stays free while they render;
+ * with `pool`, each page renders in a worker of the pool instead. The
+ * `isolation` option and setIsolation() don't apply. The WebView navigates
+ * to each URL itself; nothing is fetched first.
+ *
+ * @param {Iterable<string|URL>} urls - URLs of the pages
+ * @param {Object} [options] - Rendering options, see RenderableResponse.render(), applied to every page
+ * @param {number} [options.concurrency=4] - Most pages loading at the same time
+ * @param {HeadersInit} [options.headers] - Headers to send when navigating to each page
+ * @param {RenderPool} [options.pool] - Pool of worker processes to render the pages in
+ * @param {AbortSignal} [options.signal] - Stops rendering when it aborts; the iteration throws the reason of the signal
+ * @returns {AsyncGenerator<Object>} The outcomes, in the order the pages finish
+ *
+ * @example
+ * ```js
+ * for await (const page of renderMany(urls, { concurrency: 8, format: 'markdown' })) {
+ *   if (page.status === 'fulfilled') save(page.url, page.value);
+ * }
+ * ```
+ */
+export async function* renderMany(urls, { concurrency = 4, headers, signal, pool, ...options } = {}) {
+  if (options.onRequest || options.onConsole) {
+    throw new TypeError('renderMany() does not support onRequest or onConsole');
+  }
+  if (options.isolation !== undefined) {
+    throw new TypeError('renderMany() does not support isolation; pass a pool to render in its workers');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('concurrency must be a positive integer');
+  }
+
+  const list = Array.from(urls, (url) => String(url));
+  const renderOptions = toNativeOptions({ ...options, pool });
+  renderOptions.headers = Object.fromEntries(new Headers(headers));
+
+  signal?.throwIfAborted();
+  if (list.length === 0) {
+    return;
+  }
+  if (pool) {
+    yield* renderInPool(pool, list, renderOptions, options, concurrency, signal);
+    return;
+  }
+
+  // Advanced serialization lets screenshots come back as binary
+  // Output is ignored, like that of the pool's workers
+  const child = fork(join(__dirname, 'render-worker.js'), [], {
+    stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+    serialization: 'advanced'
+  });
+
+  // Messages and the exit of the worker, in the order they happen
+  const events = [];
+  let wake;
+  const push = (event) => {
+    events.push(event);
+    wake?.();
+  };
+  child.on('message', (message) => push({ message }));
+  child.on('error', (error) => push({ error }));
+  child.on('exit', (code) => push({ exit: code }));
+  const onAbort = () => push({ aborted: true });
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  // Each page reports its own timeout; the worker is killed only when it
+  // stops answering, as in a RenderPool
+  let timedOut = false;
+  let killTimeout;
+  const watch = () => {
+    clearTimeout(killTimeout);
+    killTimeout = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, unresponsiveAfter(renderOptions));
+  };
+
+  const pending = new Set(list.keys());
+
+  try {
+    while (pending.size > 0) {
+      if (events.length === 0) {
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+        wake = undefined;
+      }
+      const { message, error, exit, aborted } = events.shift();
+
+      if (aborted) {
+        throw signal.reason;
+      }
+
+      if (message?.ready) {
+        child.send({ batch: { urls: list, options: renderOptions, concurrency } });
+        watch();
+        continue;
+      }
+
+      if (message && message.index !== undefined) {
+        watch();
+        pending.delete(message.index);
+        const url = list[message.index];
+        if (!message.success) {
+          yield { index: message.index, url, status: 'rejected', reason: new Error(message.error) };
+          continue;
+        }
+        try {
+          const result = await toRenderResult(fromWorkerResult(message.result), options);
+          yield { index: message.index, url, status: 'fulfilled', value: toRenderValue(result, options) };
+        } catch (reason) {
+          yield { index: message.index, url, status: 'rejected', reason };
+        }
+        continue;
+      }
+
+      // The worker failed or exited before rendering every page
+      if (error || exit !== undefined || message?.success === false) {
+        let reason;
+        if (timedOut) {
+          reason = new Error('RenderTimeoutError: Rendering timed out');
+        } else if (error) {
+          reason = error;
+        } else if (message) {
+          reason = new Error(message.error);
+        } else {
+          reason = new Error(`Worker process exited with code ${exit}`);
+        }
+        for (const index of pending) {
+          yield { index, url: list[index], status: 'rejected', reason };
+        }
+        pending.clear();
+      }
+    }
+  } finally {
+    // Also reached when the caller stops iterating early
+    clearTimeout(killTimeout);
+    signal?.removeEventListener('abort', onAbort);
+    child.kill();
+  }
+}
+
+/**
+ * Renders the pages of renderMany() in the workers of a pool, up to
+ * `concurrency` at a time, and yields the outcome of each as it finishes.
+ *
+ * @private
+ */
+async function* renderInPool(pool, list, renderOptions, options, concurrency, signal) {
+  // Drops the pages still rendering when the caller stops iterating early
+  const stop = new AbortController();
+  const renderSignal = anySignal([signal, stop.signal]);
+
+  const renderPage = async (index) => {
+    const url = list[index];
+    try {
+      const result = await toRenderResult(await pool.render(url, renderOptions, undefined, renderSignal), options);
+      return { index, url, status: 'fulfilled', value: toRenderValue(result, options) };
+    } catch (reason) {
+      return { index, url, status: 'rejected', reason };
+    }
+  };
+
+  const running = new Map();
+  let next = 0;
+  try {
+    while (next < list.length || running.size > 0) {
+      while (next < list.length && running.size < concurrency) {
+        running.set(next, renderPage(next));
+        next++;
+      }
+      const outcome = await Promise.race(running.values());
+      running.delete(outcome.index);
+      signal?.throwIfAborted();
+      yield outcome;
+    }
+  } finally {
+    stop.abort();
+  }
+}
@@ -0,0 +1,413 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Longest an idle worker may take to answer a health check
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+// Time a render capturing the page at its timeout has to send it, as in the native module
+const EXTRACT_GRACE = 1000;
+
+// How long past its own timeout a worker may take to answer before it is replaced
+const UNRESPONSIVE_MARGIN = 2000;
+
+/**
+ * How long a worker process may take to answer a render before it is
+ * stuck: a render reports its own timeout, so only a worker still silent
+ * well after it, capturing the page at the timeout included, is killed.
+ *
+ * @param {Object} options - Native render options
+ * @returns {number} The time in milliseconds
+ */
+export function unresponsiveAfter(options) {
+  return (options.timeout || 5000) + (options.extractOnTimeout ? EXTRACT_GRACE : 0) + UNRESPONSIVE_MARGIN;
+}
+
+/**
+ * Restores the screenshot and PDF of a result a worker process sent, which
+ * arrive as Uint8Arrays, as Buffers.
+ *
+ * @param {Object} result - Native render result the worker sent
+ * @returns {Object} The result
+ */
+export function fromWorkerResult(result) {
+  for (const key of ['screenshot', 'pdf']) {
+    if (result[key]) {
+      const { buffer, byteOffset, byteLength } = result[key];
+      result[key] = Buffer.from(buffer, byteOffset, byteLength);
+    }
+  }
+  return result;
+}
+
+/**
+ * RenderPool - Worker processes that stay alive to render many pages, so
+ * each render doesn't pay for starting a process and its WebView.
+ *
+ * Each worker renders one page at a time; renders wait in a queue while
+ * every worker is busy. A worker is replaced after `maxRendersPerWorker`
+ * renders, when it crashes or stops answering during a render, and when it
+ * fails a health check while idle. Idle workers don't keep Node running.
+ *
+ * @example
+ * ```js
+ * import fetch, { RenderPool } from 'fetch-with-render';
+ *
+ * const pool = new RenderPool({ size: 4 });
+ * const pages = await Promise.all(
+ *   urls.map(async (url) => (await fetch(url)).render({ pool }))
+ * );
+ * await pool.close();
+ * ```
+ */
+export class RenderPool {
+  #size;
+  #maxRendersPerWorker;
+  #workers = new Set();
+  #retiring = new Set();
+  #queue = [];
+  #nextId = 0;
+  #healthCheck;
+  #closed = false;
+  #whenClosed;
+  #resolveClosed;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=2] - Most worker processes, and so renders at the same time
+   * @param {number} [options.maxRendersPerWorker=100] - Renders after which a worker is replaced
+   * @param {number} [options.healthCheckInterval=30000] - How often idle workers are checked, in milliseconds; 0 disables checks
+   */
+  constructor({ size = 2, maxRendersPerWorker = 100, healthCheckInterval = 30000 } = {}) {
+    for (const [name, value] of Object.entries({ size, maxRendersPerWorker })) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new TypeError(`${name} must be a positive integer`);
+      }
+    }
+    if (!Number.isInteger(healthCheckInterval) || healthCheckInterval < 0) {
+      throw new TypeError('healthCheckInterval must be a non-negative integer');
+    }
+
+    this.#size = size;
+    this.#maxRendersPerWorker = maxRendersPerWorker;
+
+    if (healthCheckInterval > 0) {
+      this.#healthCheck = setInterval(() => this.#checkHealth(), healthCheckInterval);
+      this.#healthCheck.unref();
+    }
+  }
+
+  /**
+   * Most worker processes of the pool
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Number of worker processes running, busy or idle
+   */
+  get workers() {
+    return this.#workers.size;
+  }
+
+  /**
+   * Process ids of the worker processes running
+   */
+  get pids() {
+    return Array.from(this.#workers, (worker) => worker.child.pid);
+  }
+
+  /**
+   * Number of renders waiting for a worker
+   */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Whether close() was called
+   */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Renders a page in a worker process.
+   *
+   * @private Use render({ pool })
+   * @param {string} url - URL of the page
+   * @param {Object} options - Native render options (timeout, html, headers...)
+   * @param {Function} [onConsole] - Called with each console message
+   * @param {AbortSignal} [signal] - Drops the render, stopping its worker if it started, when it aborts
+   * @returns {Promise<Object>} The native render result
+   */
+  render(url, options, onConsole, signal) {
+    if (this.#closed) {
+      return Promise.reject(new Error('RenderPool is closed'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+      const job = { id: this.#nextId++, url, options, onConsole };
+
+      const onAbort = () => {
+        const worker = Array.from(this.#workers).find((worker) => worker.job === job);
+        if (worker) {
+          // The worker can't stop a render midway, so it is replaced
+          this.#settle(worker, signal.reason);
+          this.#retire(worker);
+        } else if (this.#queue.includes(job)) {
+          this.#queue.splice(this.#queue.indexOf(job), 1);
+          job.reject(signal.reason);
+        }
+        this.#dispatch();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      job.resolve = (result) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+      job.reject = (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      this.#queue.push(job);
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * Stops accepting renders, lets the renders already queued finish, then
+   * stops the workers.
+   *
+   * @returns {Promise<void>} Resolves once every worker has exited
+   */
+  close() {
+    if (!this.#closed) {
+      this.#closed = true;
+      clearInterval(this.#healthCheck);
+      this.#whenClosed = new Promise((resolve) => {
+        this.#resolveClosed = resolve;
+      });
+      this.#dispatch();
+    }
+    return this.#whenClosed;
+  }
+
+  /**
+   * Hands queued renders to idle workers, starting workers up to the size
+   * of the pool. Once closed and drained, stops the idle workers.
+   *
+   * @private
+   */
+  #dispatch() {
+    for (const worker of this.#workers) {
+      if (this.#queue.length === 0) break;
+      if (worker.ready && !worker.job) {
+        this.#run(worker, this.#queue.shift());
+      }
+    }
+
+    const starting = Array.from(this.#workers).filter((worker) => !worker.ready).length;
+    for (let i = starting; i < this.#queue.length && this.#workers.size < this.#size; i++) {
+      this.#spawn();
+    }
+
+    if (this.#closed && this.#queue.length === 0) {
+      for (const worker of this.#workers) {
+        if (!worker.job) this.#retire(worker);
+      }
+      if (this.#workers.size === 0 && this.#retiring.size === 0) {
+        this.#resolveClosed();
+      }
+    }
+  }
+
+  /**
+   * Starts a worker process.
+   *
+   * @private
+   */
+  #spawn() {
+    // Advanced serialization lets screenshots come back as binary
+    // Output is ignored, so an idle worker's pipes don't keep Node running
+    const child = fork(join(__dirname, 'render-worker.js'), [], {
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      serialization: 'advanced'
+    });
+    const worker = { child, ready: false, job: null, renders: 0, killTimeout: null, healthTimeout: null };
+    this.#workers.add(worker);
+
+    child.on('message', (message) => {
+      if (message.ready) {
+        worker.ready = true;
+        this.#idle(worker);
+      } else if (message.pong !== undefined) {
+        clearTimeout(worker.healthTimeout);
+        worker.healthTimeout = null;
+      } else if (message.console) {
+        if (worker.job?.id === message.id) {
+          worker.job.onConsole?.(message.console);
+        }
+      } else if (message.id === undefined) {
+        // An uncaught exception; the worker exits after sending it
+        this.#settle(worker, new Error(message.error));
+      } else if (worker.job?.id === message.id) {
+        this.#settle(worker, message.success ? null : new Error(message.error), message.result);
+        worker.renders++;
+        if (worker.renders >= this.#maxRendersPerWorker) {
+          this.#retire(worker);
+          this.#dispatch();
+        } else {
+          this.#idle(worker);
+        }
+      }
+    });
+
+    child.on('error', (error) => {
+      this.#settle(worker, error);
+      this.#retire(worker);
+      this.#dispatch();
+    });
+
+    child.on('exit', (code) => {
+      this.#workers.delete(worker);
+      this.#retiring.delete(worker);
+      clearTimeout(worker.healthTimeout);
+      this.#settle(worker, new Error(`Worker process exited with code ${code}`));
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * Sends a render to a worker, and replaces the worker when it stops
+   * answering.
+   *
+   * @private
+   */
+  #run(worker, job) {
+    worker.job = job;
+
+    // A busy worker keeps Node running, like a forked render would
+    worker.child.ref();
+    worker.child.channel?.ref();
+
+    // The worker reports a timed out render itself and stays in the pool
+    worker.killTimeout = setTimeout(() => {
+      // The error the render itself would have failed with
+      this.#settle(worker, new Error('RenderTimeoutError: Rendering timed out'));
+      this.#retire(worker);
+      this.#dispatch();
+    }, unresponsiveAfter(job.options));
+
+    worker.child.send({
+      id: job.id,
+      url: job.url,
+      options: job.options,
+      reportConsole: Boolean(job.onConsole)
+    });
+  }
+
+  /**
+   * Resolves or rejects the render a worker is busy with, if any.
+   *
+   * @private
+   */
+  #settle(worker, error, result) {
+    const job = worker.job;
+    if (!job) return;
+    worker.job = null;
+    clearTimeout(worker.killTimeout);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(fromWorkerResult(result));
+    }
+  }
+
+  /**
+   * Takes a worker out of the pool, so a new one can start in its place,
+   * and stops it.
+   *
+   * @private
+   */
+  #retire(worker) {
+    if (!this.#workers.delete(worker)) return;
+    this.#retiring.add(worker);
+    clearTimeout(worker.healthTimeout);
+
+    // Wait for the exit, so close() can tell when every worker is gone
+    worker.child.ref();
+    worker.child.kill();
+  }
+
+  /**
+   * Lets an idle worker stop keeping Node running and gives it the next
+   * queued render.
+   *
+   * @private
+   */
+  #idle(worker) {
+    worker.child.unref();
+    worker.child.channel?.unref();
+    this.#dispatch();
+  }
+
+  /**
+   * Pings the idle workers, and replaces those that don't answer.
+   *
+   * @private
+   */
+  #checkHealth() {
+    for (const worker of this.#workers) {
+      // Skip workers that are busy, starting, or yet to answer the last check
+      if (!worker.ready || worker.job || worker.healthTimeout) continue;
+      worker.healthTimeout = setTimeout(() => {
+        this.#retire(worker);
+        this.#dispatch();
+      }, HEALTH_CHECK_TIMEOUT);
+      worker.healthTimeout.unref();
+      worker.child.send({ ping: Date.now() });
+    }
+  }
+}
+
+/**
+ * Renders a page in a worker process started for it, which exits
+ * afterwards.
+ *
+ * @param {string} url - URL of the page
+ * @param {Object} options - Native render options (timeout, html, headers...)
+ * @param {Function} [onConsole] - Called with each console message
+ * @param {AbortSignal} [signal] - Kills the worker process when it aborts
+ * @returns {Promise<Object>} The native render result
+ */
+export async function renderInProcess(url, options, onConsole, signal) {
+  const pool = new RenderPool({ size: 1, maxRendersPerWorker: 1, healthCheckInterval: 0 });
+  try {
+    return await pool.render(url, options, onConsole, signal);
+  } finally {
+    pool.close();
+  }
+}
+
+let defaultPool;
+
+/**
+ * The pool renders run in when no `pool` option is given, created on
+ * first use.
+ *
+ * @returns {RenderPool}
+ */
+export function getDefaultPool() {
+  if (!defaultPool || defaultPool.closed) {
+    defaultPool = new RenderPool();
+  }
+  return defaultPool;
+}
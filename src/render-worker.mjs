@@ -1,33 +1,66 @@
 /**
  * Worker process for rendering pages.
  *
- * This worker is spawned for each render to work around macOS EventLoop limitations.
- * It receives render requests via IPC and returns the rendered HTML.
+ * Workers run in a RenderPool to work around macOS EventLoop limitations,
+ * and stay alive to render many pages, one request at a time. A request
+ * {id, url, options, reportConsole} is answered with {id, success,
+ * result|error}, and {ping} with {pong} for health checks.
+ *
+ * A {batch} request renders many pages at once for renderMany(), sending
+ * {index, success, result|error} for each page as it finishes.
  */
 
-import { renderPage } from './native.mjs';
+import { renderAsync } from './render-loop.mjs';
 
-// Listen for render requests from parent process
-process.on('message', async (request) => {
-  try {
-    const { url, options } = request;
+/**
+ * Renders the URLs with at most `concurrency` pages loading at a time, in
+ * hidden windows on the one event loop.
+ */
+async function renderBatch({ urls, options, concurrency }) {
+  let next = 0;
+
+  const renderNext = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      try {
+        const result = await renderAsync(urls[index], options);
+        process.send({ index, success: true, result });
+      } catch (error) {
+        process.send({ index, success: false, error: error.message || String(error) });
+      }
+    }
+  };
 
-    // Perform the render using the native module
-    const html = renderPage(url, options || {});
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, renderNext));
+}
 
-    // Send result back to parent and wait for it to be sent
-    process.send({ success: true, html }, () => {
+// Listen for render requests from parent process
+process.on('message', async (request) => {
+  if (request.batch) {
+    await renderBatch(request.batch);
+    process.send({ done: true }, () => {
       process.exit(0);
     });
-  } catch (error) {
+    return;
+  }
 
-    // Send error back to parent and wait for it to be sent
-    process.send({
-      success: false,
-      error: error.message || String(error)
-    }, () => {
-      process.exit(1);
-    });
+  if (request.ping !== undefined) {
+    process.send({ pong: request.ping });
+    return;
+  }
+
+  const { id, url, options, reportConsole } = request;
+
+  // Relay console messages to the parent while the page renders
+  const onConsole = reportConsole
+    ? (message) => process.send({ id, console: message })
+    : undefined;
+
+  try {
+    const result = await renderAsync(url, options || {}, onConsole);
+    process.send({ id, success: true, result });
+  } catch (error) {
+    process.send({ id, success: false, error: error.message || String(error) });
   }
 });
 
@@ -41,5 +74,10 @@ process.on('uncaughtException', (error) => {
   });
 });
 
+// Exit with the pool, so workers don't outlive the process that started them
+process.on('disconnect', () => {
+  process.exit(0);
+});
+
 // Signal ready
 process.send({ ready: true });
@@ -0,0 +1,399 @@
+/**
+ * Request interception for the `onRequest` hook. The WebView of a render
+ * with a hook is configured to send every request it makes, the document
+ * markup's resources included, through a proxy in this process, which asks
+ * the hook whether to continue, abort or fulfill it.
+ *
+ * HTTPS connections are opened by the proxy with certificates issued by a
+ * certificate authority created for this process, which only the WebViews
+ * of intercepted renders trust. The proxy itself connects to servers with
+ * Node's certificate checks, so pages still can't reach a server whose
+ * certificate doesn't verify.
+ */
+
+import { createServer, request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { connect as netConnect, isIP } from 'node:net';
+import { connect as tlsConnect, createSecureContext, TLSSocket } from 'node:tls';
+import { createHash, createPublicKey, generateKeyPairSync, randomBytes } from 'node:crypto';
+
+// Headers that describe one connection, not the request or response
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade',
+];
+
+// Resource types by the Sec-Fetch-Dest request header
+const DESTINATIONS = {
+  document: 'document', iframe: 'document', frame: 'document', embed: 'document', object: 'document',
+  style: 'stylesheet', script: 'script', worker: 'script', sharedworker: 'script', serviceworker: 'script',
+  image: 'image', font: 'font', audio: 'media', video: 'media', track: 'media', empty: 'fetch',
+};
+
+// Resource types by file extension, for engines that don't send Sec-Fetch-Dest
+const EXTENSIONS = [
+  [/\.(css)$/, 'stylesheet'],
+  [/\.(m?js)$/, 'script'],
+  [/\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)$/, 'image'],
+  [/\.(woff2?|ttf|otf|eot)$/, 'font'],
+  [/\.(mp4|webm|ogg|mp3|wav|m4a|m3u8|vtt)$/, 'media'],
+];
+
+// TLS records start with this byte, so a tunnel that doesn't carries plain HTTP
+const TLS_HANDSHAKE = 0x16;
+
+let authority;
+
+/**
+ * Starts a proxy asking `onRequest` about each request sent through it.
+ * The hook returns a decision as toRequestDecision() normalizes it; when it
+ * throws, the request is aborted and `onError` is called with the error.
+ *
+ * @param {Function} onRequest - Returns the decision for each request
+ * @param {Function} onError - Called with an error thrown by the hook
+ * @returns {Promise<{options: Object, close: Function}>} The proxy options
+ *   for the native render, and a function that stops the proxy
+ */
+export async function startRequestProxy(onRequest, onError) {
+  const { certificate, publicKeyHash, contextFor } = await getAuthority();
+
+  // Where the requests of each decrypted tunnel go
+  const tunnels = new WeakMap();
+  const sockets = new Set();
+
+  const server = createServer((req, res) => {
+    // Requests that can't be read or sent fail like unreachable servers
+    handleRequest(req, res, toRequestUrl(req, tunnels), onRequest, onError).catch(() => req.socket.destroy());
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  server.on('connect', (req, socket, head) => openTunnel(server, req, socket, head, tunnels, contextFor));
+  server.on('upgrade', (req, socket, head) => passUpgrade(req, socket, head, toRequestUrl(req, tunnels)));
+  server.on('clientError', (_error, socket) => socket.destroy());
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  return {
+    options: { port: server.address().port, certificate, publicKeyHash },
+    close() {
+      server.close();
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    },
+  };
+}
+
+/**
+ * Describes a request for the hook, the way InterceptedRequest documents it.
+ *
+ * @private
+ */
+function toInterceptedRequest(req, url, body) {
+  return {
+    url,
+    method: req.method,
+    headers: withoutHopByHop(req.headers),
+    resourceType: resourceType(req.headers, url),
+    postData: body.length > 0 ? body.toString() : undefined,
+  };
+}
+
+/**
+ * Tells what a request is for from the Sec-Fetch-Dest header, or else from
+ * the Accept header and the file extension of the URL.
+ *
+ * @param {Object} headers - Request headers, with lowercase names
+ * @param {string} url - URL of the request
+ * @returns {string} The resource type
+ */
+export function resourceType(headers, url) {
+  const destination = headers['sec-fetch-dest'];
+  if (destination) {
+    return DESTINATIONS[destination] ?? 'other';
+  }
+
+  const accept = headers.accept ?? '';
+  if (accept.startsWith('text/html')) return 'document';
+  if (accept.startsWith('text/css')) return 'stylesheet';
+  if (accept.startsWith('image/')) return 'image';
+  if (/^(audio|video)\//.test(accept)) return 'media';
+
+  const { pathname } = new URL(url);
+  const match = EXTENSIONS.find(([extension]) => extension.test(pathname.toLowerCase()));
+  return match ? match[1] : 'other';
+}
+
+/**
+ * Asks the hook about a request and continues, aborts or fulfills it.
+ *
+ * @private
+ */
+async function handleRequest(req, res, url, onRequest, onError) {
+  if (!url) {
+    res.writeHead(400).end();
+    return;
+  }
+
+  const body = await readBody(req);
+
+  let decision;
+  try {
+    decision = onRequest(toInterceptedRequest(req, url, body));
+  } catch (error) {
+    onError(error);
+    decision = { action: 'abort' };
+  }
+
+  if (decision.action === 'abort') {
+    // The engine reports a network error, as for an unreachable server
+    req.socket.destroy();
+  } else if (decision.action === 'fulfill') {
+    fulfill(req, res, decision);
+  } else {
+    forward(req, res, url, body);
+  }
+}
+
+/**
+ * Answers a request with the response the hook gave. Cross-origin
+ * requests are allowed unless the hook set CORS headers of its own.
+ *
+ * @private
+ */
+function fulfill(req, res, { status = 200, headers = {}, body }) {
+  const content = body == null ? Buffer.alloc(0) : Buffer.from(body);
+  const responseHeaders = { ...headers, 'content-length': content.length };
+  if (req.headers.origin && !('access-control-allow-origin' in headers)) {
+    responseHeaders['access-control-allow-origin'] = req.headers.origin;
+    responseHeaders['access-control-allow-credentials'] = 'true';
+  }
+  res.writeHead(status, responseHeaders);
+  res.end(content);
+}
+
+/**
+ * Sends a request on to its server and streams the response back.
+ *
+ * @private
+ */
+function forward(req, res, url, body) {
+  const target = new URL(url);
+  const send = target.protocol === 'https:' ? httpsRequest : httpRequest;
+  const upstream = send(target, { method: req.method, headers: withoutHopByHop(req.headers) }, (response) => {
+    res.writeHead(response.statusCode, response.statusMessage, withoutHopByHop(response.headers));
+    response.pipe(res);
+    response.on('error', () => res.destroy());
+  });
+  upstream.on('error', () => req.socket.destroy());
+  upstream.end(body);
+}
+
+/**
+ * Answers a CONNECT request and serves the requests sent through the
+ * tunnel, decrypting them when they use TLS.
+ *
+ * @private
+ */
+function openTunnel(server, req, socket, head, tunnels, contextFor) {
+  const [host, port = '443'] = splitHostPort(req.url);
+  socket.on('error', () => socket.destroy());
+  socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+  const serve = (first) => {
+    socket.unshift(first);
+    if (first[0] !== TLS_HANDSHAKE) {
+      tunnels.set(socket, `http://${formatHost(host, port, '80')}`);
+      server.emit('connection', socket);
+      return;
+    }
+    const secure = new TLSSocket(socket, { isServer: true, secureContext: contextFor(host) });
+    secure.on('error', () => secure.destroy());
+    tunnels.set(secure, `https://${formatHost(host, port, '443')}`);
+    server.emit('connection', secure);
+  };
+
+  if (head.length > 0) {
+    serve(head);
+  } else {
+    socket.once('data', (first) => {
+      socket.pause();
+      serve(first);
+    });
+  }
+}
+
+/**
+ * Passes a WebSocket upgrade through to its server without asking the hook.
+ *
+ * @private
+ */
+function passUpgrade(req, socket, head, url) {
+  if (!url) {
+    socket.destroy();
+    return;
+  }
+
+  const target = new URL(url);
+  const secure = target.protocol === 'https:';
+  const port = Number(target.port) || (secure ? 443 : 80);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const upstream = secure
+    ? tlsConnect({ host: hostname, port, servername: isIP(hostname) ? undefined : hostname })
+    : netConnect(port, hostname);
+
+  upstream.once(secure ? 'secureConnect' : 'connect', () => {
+    const lines = [`${req.method} ${target.pathname}${target.search} HTTP/1.1`];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      lines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+    }
+    upstream.write(lines.join('\r\n') + '\r\n\r\n');
+    upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+  upstream.on('error', () => socket.destroy());
+  socket.on('error', () => upstream.destroy());
+  socket.on('close', () => upstream.destroy());
+}
+
+/**
+ * The absolute URL of a request: proxied plain HTTP requests carry it,
+ * requests from a tunnel are relative to the tunnel's origin.
+ *
+ * @private
+ */
+function toRequestUrl(req, tunnels) {
+  const origin = tunnels.get(req.socket);
+  if (origin) {
+    return origin + req.url;
+  }
+  return /^http:\/\//i.test(req.url) ? req.url : null;
+}
+
+/**
+ * Reads the body of a request.
+ *
+ * @private
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Copies headers without those describing the connection.
+ *
+ * @private
+ */
+function withoutHopByHop(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Splits the `host:port` of a CONNECT request, IPv6 addresses included.
+ *
+ * @private
+ */
+function splitHostPort(authority) {
+  const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(authority) ?? /^([^:]+)(?::(\d+))?$/.exec(authority);
+  return match ? [match[1], match[2]] : [authority];
+}
+
+/**
+ * The host and port of an origin, leaving out the default port.
+ *
+ * @private
+ */
+function formatHost(host, port, defaultPort) {
+  const name = isIP(host) === 6 ? `[${host}]` : host;
+  return port === defaultPort ? name : `${name}:${port}`;
+}
+
+/**
+ * The certificate authority of this process, created on first use: its
+ * certificate, the hash of the key its server certificates share, and the
+ * TLS context for each host.
+ *
+ * @private
+ */
+function getAuthority() {
+  authority ??= createAuthority();
+  return authority;
+}
+
+/**
+ * Creates the certificate authority and the key of the server certificates.
+ *
+ * @private
+ */
+async function createAuthority() {
+  const { default: forge } = await import('node-forge');
+  const { pki } = forge;
+
+  const keys = () =>
+    generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+  const authorityKeys = keys();
+  const serverKeys = keys();
+  const signingKey = pki.privateKeyFromPem(authorityKeys.privateKey);
+
+  const issue = (publicKey, subject, extensions) => {
+    const certificate = pki.createCertificate();
+    certificate.publicKey = pki.publicKeyFromPem(publicKey);
+    // Positive serial numbers, as certificate checks require
+    certificate.serialNumber = '01' + randomBytes(15).toString('hex');
+    certificate.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    certificate.validity.notAfter = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+    certificate.setSubject(subject);
+    certificate.setIssuer(authorityName);
+    certificate.setExtensions(extensions);
+    certificate.sign(signingKey, forge.md.sha256.create());
+    return certificate;
+  };
+
+  const authorityName = [{ name: 'commonName', value: 'fetch-with-render request interception' }];
+  const authorityCertificate = issue(authorityKeys.publicKey, authorityName, [
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { name: 'subjectKeyIdentifier' },
+  ]);
+  const authorityPem = pki.certificateToPem(authorityCertificate);
+
+  const contexts = new Map();
+  const contextFor = (host) => {
+    if (!contexts.has(host)) {
+      const certificate = issue(serverKeys.publicKey, [{ name: 'commonName', value: host.slice(0, 64) }], [
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        { name: 'subjectAltName', altNames: [isIP(host) ? { type: 7, ip: host } : { type: 2, value: host }] },
+      ]);
+      contexts.set(host, createSecureContext({
+        key: serverKeys.privateKey,
+        cert: pki.certificateToPem(certificate) + authorityPem,
+      }));
+    }
+    return contexts.get(host);
+  };
+
+  const spki = createPublicKey(serverKeys.publicKey).export({ type: 'spki', format: 'der' });
+  return {
+    certificate: forge.util.encode64(forge.asn1.toDer(pki.certificateToAsn1(authorityCertificate)).getBytes()),
+    publicKeyHash: createHash('sha256').update(spki).digest('base64'),
+    contextFor,
+  };
+}
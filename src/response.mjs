@@ -1,12 +1,404 @@
-import { fork } from 'child_process';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { Page, toCondition, toEvaluationSource, toWaitCondition } from './page.mjs';
+import { FORMATS, formatOutput } from './format.mjs';
+import { toExtractSchema } from './extract.mjs';
+import { extractArticle } from './article.mjs';
+import { renderAsync } from './render-loop.mjs';
+import { startRequestProxy } from './request-proxy.mjs';
+import { RenderPool, getDefaultPool, renderInProcess } from './render-pool.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const REQUEST_ACTIONS = ['continue', 'abort', 'fulfill'];
+const SCREENSHOT_TYPES = ['png', 'jpeg'];
+const SELECTOR_PROPERTIES = ['outerHTML', 'innerHTML', 'textContent'];
+const WAIT_UNTIL = ['domcontentloaded', 'load', 'networkidle0', 'networkidle2', 'domstable'];
+const ACTION_TYPES = ['click', 'type', 'select', 'scroll', 'waitFor', 'wait'];
+const MODES = ['page', 'article'];
+const ISOLATION_MODES = ['inline', 'process', 'pool'];
 
-// Track render count to decide between direct call vs child process
-let renderCount = 0;
+// Where renders run unless they say otherwise, see setIsolation()
+const DEFAULT_ISOLATION = 'pool';
+let isolation = DEFAULT_ISOLATION;
+
+// Paper sizes in millimetres, portrait
+const PAPER_FORMATS = {
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  tabloid: [279.4, 431.8],
+  ledger: [431.8, 279.4],
+  a0: [841, 1189],
+  a1: [594, 841],
+  a2: [420, 594],
+  a3: [297, 420],
+  a4: [210, 297],
+  a5: [148, 210],
+  a6: [105, 148],
+};
+
+const MILLIMETRES_PER_UNIT = { px: 25.4 / 96, in: 25.4, cm: 10, mm: 1 };
+
+/**
+ * Renders a page in this process. With an onRequest hook, the WebView sends
+ * its requests through a request proxy asking the hook about each of them;
+ * an error thrown by the hook fails the render.
+ *
+ * @param {string} url - URL of the page
+ * @param {Object} renderOptions - Options for the native render
+ * @param {Function} [onRequest] - The user's hook
+ * @param {Function} [onConsole] - Called with each console message of the page
+ * @param {AbortSignal} [signal] - Cancels the render when it aborts
+ * @returns {Promise<Object>} The native render result
+ */
+async function renderInline(url, renderOptions, onRequest, onConsole, signal) {
+  if (!onRequest) {
+    return renderAsync(url, renderOptions, onConsole, signal);
+  }
+
+  const failed = new AbortController();
+  const proxy = await startRequestProxy(
+    (request) => toRequestDecision(onRequest(request)),
+    (error) => failed.abort(new Error(`InterceptionError: ${error?.message ?? String(error)}`))
+  );
+  try {
+    return await renderAsync(
+      url,
+      { ...renderOptions, proxy: proxy.options },
+      onConsole,
+      anySignal([signal, failed.signal])
+    );
+  } finally {
+    proxy.close();
+  }
+}
+
+/**
+ * Wraps an onConsole hook so an error it throws is not raised inside the
+ * native event loop; a failing observer doesn't fail the render.
+ *
+ * @param {Function} onConsole - The user's hook
+ * @returns {Function} Hook passed to the native render
+ */
+function toConsoleHook(onConsole) {
+  return (message) => {
+    try {
+      onConsole(message);
+    } catch {
+      // Ignored, see above
+    }
+  };
+}
+
+/**
+ * Normalizes what an onRequest hook returned: nothing or 'continue' lets
+ * the request through, 'abort' fails it, and an object can fulfill it with
+ * a synthetic response.
+ */
+function toRequestDecision(result) {
+  if (result === undefined || result === null || result === 'continue') {
+    return { action: 'continue' };
+  }
+  if (result === 'abort') {
+    return { action: 'abort' };
+  }
+  if (typeof result.then === 'function') {
+    throw new TypeError('onRequest must return its decision synchronously');
+  }
+
+  const { action = 'fulfill', status = 200, headers, body } = result;
+  if (!REQUEST_ACTIONS.includes(action)) {
+    throw new TypeError(`Unknown onRequest action '${action}'`);
+  }
+  if (action !== 'fulfill') {
+    return { action };
+  }
+
+  return {
+    action,
+    status,
+    headers: headers ? Object.fromEntries(new Headers(headers)) : undefined,
+    body: body == null || typeof body === 'string' ? body : Buffer.from(body),
+  };
+}
+
+/**
+ * Rejects unknown `waitUntil` strategies, which would otherwise behave like 'load'
+ */
+function checkWaitUntil(waitUntil) {
+  if (waitUntil !== undefined && !WAIT_UNTIL.includes(waitUntil)) {
+    throw new TypeError(`Unknown waitUntil '${waitUntil}', expected one of ${WAIT_UNTIL.join(', ')}`);
+  }
+}
+
+/**
+ * Checks the `actions` steps before the page loads, so a malformed step
+ * fails right away instead of after the page has loaded.
+ */
+function toActions(actions) {
+  if (!Array.isArray(actions)) {
+    throw new TypeError('actions must be an array of steps');
+  }
+  for (const step of actions) {
+    const types = Object.keys(step ?? {}).filter((key) => ACTION_TYPES.includes(key));
+    if (types.length !== 1) {
+      throw new TypeError(
+        `Invalid action ${JSON.stringify(step)}, expected one of ${ACTION_TYPES.join(', ')}`
+      );
+    }
+    if (['type', 'select'].includes(types[0]) && !Array.isArray(step[types[0]])) {
+      throw new TypeError(`The ${types[0]} action takes [selector, value]`);
+    }
+  }
+  return actions.map((step) =>
+    step.waitFor === undefined ? step : { ...step, waitFor: toCondition(step.waitFor) }
+  );
+}
+
+/**
+ * Converts a CSS length such as '1cm', '0.5in' or 20 (pixels) to millimetres.
+ */
+function toMillimetres(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value === 'number') {
+    return value * MILLIMETRES_PER_UNIT.px;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*(px|in|cm|mm)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new TypeError(`Invalid PDF ${name} '${value}'`);
+  }
+  return Number(match[1]) * MILLIMETRES_PER_UNIT[(match[2] || 'px').toLowerCase()];
+}
+
+/**
+ * Resolves the pdf() options into the paper size and margins, in
+ * millimetres, that the native side prints with.
+ */
+function toPdfOptions({
+  format = 'A4',
+  width,
+  height,
+  landscape = false,
+  margin = {},
+  printBackground = false,
+}) {
+  const paper = PAPER_FORMATS[String(format).toLowerCase()];
+  if (!paper && (width === undefined || height === undefined)) {
+    throw new TypeError(`Unknown paper format '${format}'`);
+  }
+
+  let paperWidth = toMillimetres(width, 'width') ?? paper[0];
+  let paperHeight = toMillimetres(height, 'height') ?? paper[1];
+  if (landscape) {
+    [paperWidth, paperHeight] = [paperHeight, paperWidth];
+  }
+
+  return {
+    width: paperWidth,
+    height: paperHeight,
+    marginTop: toMillimetres(margin.top, 'margin') ?? 0,
+    marginRight: toMillimetres(margin.right, 'margin') ?? 0,
+    marginBottom: toMillimetres(margin.bottom, 'margin') ?? 0,
+    marginLeft: toMillimetres(margin.left, 'margin') ?? 0,
+    printBackground,
+  };
+}
+
+/**
+ * Sets where renders run when they don't pass the `isolation` option:
+ *
+ * - 'inline' runs the WebView event loop in this process, in slices so
+ *   Node stays responsive
+ * - 'process' starts a worker process for each render
+ * - 'pool' renders in the `pool` option, or the default shared RenderPool
+ *
+ * @param {'inline'|'process'|'pool'} [mode] - The mode; without one, restores the default, 'pool'
+ */
+export function setIsolation(mode = DEFAULT_ISOLATION) {
+  checkIsolation(mode);
+  isolation = mode;
+}
+
+/**
+ * Tells where a render with these options would run. Renders with an
+ * `onRequest` hook run inline, since functions can't be sent to a worker
+ * process; renders with a `pool` run in it.
+ *
+ * @param {Object} [options] - Rendering options, see RenderableResponse.render()
+ * @returns {'inline'|'process'|'pool'} The isolation mode
+ */
+export function getIsolation(options = {}) {
+  if (options.isolation !== undefined) {
+    checkIsolation(options.isolation);
+  }
+  const mode = options.isolation ?? (options.onRequest ? 'inline' : options.pool ? 'pool' : isolation);
+
+  if (options.onRequest && mode !== 'inline') {
+    throw new TypeError(`onRequest needs isolation 'inline', since functions can't be sent to a worker process`);
+  }
+  if (options.pool !== undefined && mode !== 'pool') {
+    throw new TypeError(`pool needs isolation 'pool', not '${mode}'`);
+  }
+  return mode;
+}
+
+function checkIsolation(mode) {
+  if (!ISOLATION_MODES.includes(mode)) {
+    throw new TypeError(`Unknown isolation '${mode}', expected one of ${ISOLATION_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Combines abort signals into one that aborts with the first of them. The
+ * signals only hold the combined signal weakly, so a long-lived one doesn't
+ * collect a listener per render.
+ *
+ * @param {Array<AbortSignal|undefined|null>} signals - The signals; missing ones are skipped
+ * @returns {AbortSignal|undefined} The signal, or undefined without any
+ */
+export function anySignal(signals) {
+  signals = signals.filter(Boolean);
+  if (signals.length <= 1) {
+    return signals[0];
+  }
+  return AbortSignal.any(signals);
+}
+
+/**
+ * Validates the render options and builds the options of the native render.
+ * The request headers and body are added by the caller.
+ *
+ * @param {Object} options - Rendering options, see RenderableResponse.render()
+ * @param {Object} [internal]
+ * @param {boolean} [internal.extractOnTimeout=false] - Capture the page as it is when the timeout expires
+ * @param {string} [internal.evaluate] - Expression to evaluate once the HTML is captured
+ * @returns {Object} Options for the native render
+ */
+export function toNativeOptions(options, { extractOnTimeout = false, evaluate } = {}) {
+  if (options.screenshot?.type && !SCREENSHOT_TYPES.includes(options.screenshot.type)) {
+    throw new TypeError(`Unsupported screenshot type '${options.screenshot.type}'`);
+  }
+
+  if (options.pool !== undefined && !(options.pool instanceof RenderPool)) {
+    throw new TypeError('pool must be a RenderPool');
+  }
+
+  getIsolation(options);
+  checkWaitUntil(options.waitUntil);
+  if (options.property !== undefined && !SELECTOR_PROPERTIES.includes(options.property)) {
+    throw new TypeError(`Unknown property '${options.property}', expected one of ${SELECTOR_PROPERTIES.join(', ')}`);
+  }
+  if (options.format !== undefined && !FORMATS.includes(options.format)) {
+    throw new TypeError(`Unknown format '${options.format}', expected one of ${FORMATS.join(', ')}`);
+  }
+  if (options.format !== undefined && options.format !== 'html' && options.property === 'textContent') {
+    throw new TypeError(`format '${options.format}' needs HTML, not property 'textContent'`);
+  }
+  if (options.mode !== undefined && !MODES.includes(options.mode)) {
+    throw new TypeError(`Unknown mode '${options.mode}', expected one of ${MODES.join(', ')}`);
+  }
+  if (options.mode === 'article') {
+    if (options.selector || options.selectorAll || options.extract !== undefined) {
+      throw new TypeError("mode 'article' reads the whole page and can't be combined with selector, selectorAll or extract");
+    }
+    if (options.format === 'json') {
+      throw new TypeError("mode 'article' already resolves with an object; use format 'text' or 'markdown' to convert its content");
+    }
+  }
+
+  if (options.extract !== undefined) {
+    // Extraction runs once the HTML is captured, like evaluate()
+    evaluate = `window.__fwrExtract(${JSON.stringify(toExtractSchema(options.extract))})`;
+  }
+
+  const renderOptions = {
+    timeout: options.timeout,
+    waitFor: toWaitCondition(options),
+    waitUntil: options.waitUntil,
+    idleTime: options.idleTime,
+    waitForSignal: options.waitForSignal,
+    selector: options.all ? undefined : options.selector,
+    selectorAll: options.selectorAll ?? (options.all ? options.selector : undefined),
+    property: options.property,
+    assets: options.assets,
+    script: options.script,
+    actions: options.actions && toActions(options.actions),
+    subresourceHeaders: options.subresourceHeaders,
+    block: options.block,
+    screenshot: options.screenshot,
+    pdf: options.pdf && toPdfOptions(options.pdf),
+    extractOnTimeout,
+    evaluate,
+  };
+
+  // Remove undefined values
+  Object.keys(renderOptions).forEach(
+    key => renderOptions[key] === undefined && delete renderOptions[key]
+  );
+
+  return renderOptions;
+}
+
+/**
+ * Completes the result of a native render: parses what the page sent as
+ * JSON and applies the `format`, `mode` and `extract` options.
+ *
+ * @param {Object} result - Result of the native render
+ * @param {Object} options - Rendering options, see RenderableResponse.render()
+ * @returns {Promise<Object>} The result as renderDetailed() returns it, without `status`
+ */
+export async function toRenderResult(result, options) {
+  let content;
+  let article;
+  if (options.mode === 'article') {
+    article = await extractArticle(result.html, { url: result.finalUrl, title: result.title });
+    if (options.format && options.format !== 'html') {
+      article.content = await formatOutput(options.format, {
+        html: article.content,
+        url: result.finalUrl,
+        title: result.title,
+      });
+    }
+  } else if (options.format) {
+    content = await formatOutput(options.format, {
+      html: result.html ?? null,
+      elements: result.elements,
+      url: result.finalUrl,
+      title: result.title,
+    });
+  }
+
+  return {
+    ...result,
+    html: result.html ?? null,
+    content,
+    article,
+    extracted: options.extract !== undefined && result.evaluation !== undefined
+      ? JSON.parse(result.evaluation)
+      : undefined,
+    signal: result.signal === undefined ? undefined : JSON.parse(result.signal),
+    metadata: result.metadata === undefined ? undefined : JSON.parse(result.metadata),
+    assets: result.assets === undefined ? undefined : JSON.parse(result.assets),
+    errors: result.console.filter((message) => message.type === 'pageerror'),
+  };
+}
+
+/**
+ * Picks what render() resolves with from a render result.
+ *
+ * @param {Object} result - Result of toRenderResult()
+ * @param {Object} options - Rendering options, see RenderableResponse.render()
+ */
+export function toRenderValue(result, options) {
+  if (options.mode === 'article') {
+    return result.article;
+  }
+  if (options.extract !== undefined) {
+    return result.extracted;
+  }
+  if (result.content !== undefined) {
+    return result.content;
+  }
+  return result.elements ?? result.html;
+}
 
 /**
  * RenderableResponse - A wrapper around the native Response object
@@ -16,116 +408,277 @@ let renderCount = 0;
 export class RenderableResponse {
   #response;
   #url;
+  #body;
+  #init;
 
-  constructor(response) {
+  /**
+   * @param {Response} response - The response to wrap
+   * @param {RequestInit} [init] - Options of the request that produced the response
+   */
+  constructor(response, init = {}) {
     this.#response = response;
     this.#url = response.url;
+    this.#init = init;
   }
 
   /**
    * Renders the page using a native WebView and returns the final HTML
    * after JavaScript execution.
    *
+   * The body that fetch already downloaded is loaded into the WebView, so
+   * the page is not requested a second time. Relative URLs resolve against
+   * the response URL. Headers of the originating request, including
+   * Cookie and User-Agent, are sent on the WebView's navigation.
+   *
    * @param {Object} options - Rendering options
    * @param {number} [options.timeout=5000] - Maximum time to wait for rendering in milliseconds
-   * @param {string} [options.waitFor] - CSS selector to wait for before capturing HTML
-   * @param {string} [options.selector] - CSS selector to extract (returns only matching element's HTML)
+   * @param {string|Object|Array|Function} [options.waitFor] - CSS selector to wait for before capturing HTML, or a condition:
+   * `{selector|xpath|text, visible?, hidden?, count?}`, `{function, polling?}`, `{any: [...]}`, `{all: [...]}`;
+   * an array or function is shorthand for `all` or `function`
+   * @param {Function|string} [options.waitForFunction] - Predicate polled in the page until it returns a truthy value (or a promise of one)
+   * @param {number} [options.polling=100] - How often to call waitForFunction, in milliseconds
+   * @param {string} [options.waitForText] - Text to wait for in the page
+   * @param {'domcontentloaded'|'load'|'networkidle0'|'networkidle2'|'domstable'} [options.waitUntil='load'] - When the page counts as ready:
+   * at DOMContentLoaded, at load, once no fetch/XHR (networkidle0) or at most two (networkidle2) have been in flight
+   * for `idleTime`, or once the DOM hasn't changed for `idleTime` (domstable); the idle strategies start at load
+   * @param {number} [options.idleTime=500] - Quiet period of the idle `waitUntil` strategies, in milliseconds
+   * @param {boolean} [options.waitForSignal=false] - Capture when the page calls `window.fetchWithRender.ready(payload?)`,
+   * ignoring waitUntil and the wait conditions
+   * @param {string} [options.selector] - CSS selector to extract (returns only matching element's HTML, or null when nothing matches)
+   * @param {string} [options.selectorAll] - CSS selector of elements to extract; resolves with an array, one entry per match
+   * @param {boolean} [options.all=false] - Extract every match of `selector`, like `selectorAll`
+   * @param {'outerHTML'|'innerHTML'|'textContent'} [options.property='outerHTML'] - What to extract from each matching element
+   * @param {'html'|'text'|'markdown'|'json'} [options.format='html'] - Convert what was captured (the page, or the
+   * `selector`/`selectorAll` matches) to readable text, markdown, or an object with `url`, `title`, `html`, `text` and `markdown`
+   * @param {boolean} [options.assets=false] - Also list the links, images, scripts, stylesheets, iframes and form actions
+   * of the page, with absolute URLs, and the resources it requested; returned as `assets` by renderDetailed()
+   * @param {'page'|'article'} [options.mode='page'] - With 'article', resolve with the main content of the page
+   * and its metadata, `{title, byline, publishedTime, content, textContent, excerpt, siteName}`, instead of HTML;
+   * `format` 'text' or 'markdown' converts `content`
+   * @param {Object|Array|string} [options.extract] - Schema of an object to build from the DOM instead of returning HTML:
+   * strings are `'selector@attribute | type'` (text without `@attribute`, `@html` for the inner HTML; type is string,
+   * number, int, boolean or date), `[schema]` reads every match, and objects nest, scoped to their `_root` selector
    * @param {string} [options.script] - JavaScript code to execute before capturing HTML
-   * @returns {Promise<string>} The rendered HTML
+   * @param {Object[]} [options.actions] - Steps run in order once the page is ready, before waiting for `waitFor`:
+   * `{click: selector}`, `{type: [selector, text]}`, `{select: [selector, value]}`,
+   * `{scroll: 'top'|'bottom'|selector|y}`, `{waitFor: condition, timeout?}` or `{wait: ms}`
+   * @param {boolean} [options.subresourceHeaders=false] - Also send the request headers on same-origin fetch/XHR requests made by the page, and store its cookies for the page's origin
+   * @param {Function} [options.onRequest] - Called for each request the page makes, the document and the resources of its markup included; returns 'continue', 'abort' or a response to fulfill it with
+   * @param {Function} [options.onConsole] - Called with each console message and uncaught error ({type, text, url?, line?, column?}) as the page produces it
+   * @param {Object} [options.block] - Requests to block while the page loads
+   * @param {string[]} [options.block.resourceTypes] - Resource types to block (image, font, media, stylesheet, script, document, fetch, xhr)
+   * @param {string[]} [options.block.urlPatterns] - URL patterns to block; `*` matches any run of characters
+   * @param {Object} [options.screenshot] - Also capture an image of the page (see screenshot()); returned by renderDetailed()
+   * @param {Object} [options.pdf] - Also print the page to PDF (see pdf()); returned by renderDetailed()
+   * @param {'inline'|'process'|'pool'} [options.isolation] - Where the page renders: in this process, in a new worker
+   * process, or in a pool of worker processes; defaults to what setIsolation() set, 'pool' unless changed
+   * @param {RenderPool} [options.pool] - Pool of worker processes to render in, instead of the default shared pool
+   * @param {AbortSignal} [options.signal] - Cancels the render when it aborts: the window closes, or the worker process
+   * is stopped, and the call rejects with the reason of the signal, an `AbortError` by default. The signal passed
+   * to fetch cancels it too.
+   * @returns {Promise<string|string[]|Object|null>} The rendered HTML, or what was extracted with `selector`/`selectorAll`,
+   * in the requested format; with `extract`, the extracted object; with `mode: 'article'`, the article
    */
   async render(options = {}) {
-    renderCount++;
+    const result = await this.#render(options);
+    return toRenderValue(result, options);
+  }
+
+  /**
+   * Renders the page like render(), but resolves with details about the
+   * render alongside the HTML.
+   *
+   * When the timeout expires, the page is captured as it is instead of
+   * rejecting: `timedOut` is set and `waitForMatched` tells whether the
+   * wait conditions held.
+   *
+   * @param {Object} options - Rendering options, see render()
+   * @returns {Promise<Object>} The render result: `html` (null when `selector` matched nothing or with
+   * `selectorAll`), `elements` (with `selectorAll`), `finalUrl`, `title`, `status`,
+   * `timings` ({navigation, load, waitFor, total} in milliseconds), `waitForMatched`,
+   * `timedOut`, `console`, `errors`, `blockedRequests`, `signal` (the payload passed to
+   * `fetchWithRender.ready()`), `content` (the converted output with `format`), `extracted` (with `extract`), `article` (with `mode: 'article'`), `metadata` (meta tags, `openGraph`,
+   * `twitter`, `jsonLd`, `canonical`, `alternates`, `icons` and `title` of the document), `assets` (with `assets`), and `screenshot`/`pdf` when requested
+   */
+  async renderDetailed(options = {}) {
+    return this.#render(options, { extractOnTimeout: true });
+  }
+
+  /**
+   * Renders the page and resolves with the full render result.
+   *
+   * @private
+   */
+  async #render(options, { extractOnTimeout = false, evaluate } = {}) {
+    const renderOptions = toNativeOptions(options, { extractOnTimeout, evaluate });
+    renderOptions.headers = Object.fromEntries(new Headers(this.#init.headers));
+
+    // Like the request, the render stops when the fetch signal aborts
+    const signal = anySignal([options.signal, this.#init.signal]);
+    signal?.throwIfAborted();
 
-    const renderOptions = {
+    // Render the body we already have; fall back to navigating when the caller consumed it
+    const html = await this.#readBody();
+    if (html !== null) {
+      renderOptions.html = html;
+    }
+
+    const onConsole = options.onConsole && toConsoleHook(options.onConsole);
+
+    let result;
+    switch (getIsolation(options)) {
+      case 'inline':
+        result = await renderInline(this.#url, renderOptions, options.onRequest, onConsole, signal);
+        break;
+      case 'process':
+        result = await renderInProcess(this.#url, renderOptions, onConsole, signal);
+        break;
+      default:
+        // Worker processes avoid the macOS EventLoop limitation
+        result = await (options.pool ?? getDefaultPool()).render(this.#url, renderOptions, onConsole, signal);
+    }
+
+    return {
+      ...(await toRenderResult(result, options)),
+      status: this.#response.status,
+    };
+  }
+
+  /**
+   * Renders the page and captures an image of it from the same WebView,
+   * once the page is ready as it would be for render().
+   *
+   * @param {Object} [options] - Screenshot options; rendering options such as timeout, waitFor and script apply too
+   * @param {boolean} [options.fullPage=false] - Capture the whole document instead of the viewport
+   * @param {{x: number, y: number, width: number, height: number}} [options.clip] - Area of the document to capture, in CSS pixels
+   * @param {string} [options.selector] - CSS selector of the element to capture
+   * @param {'png'|'jpeg'} [options.type='png'] - Image format
+   * @param {number} [options.quality=80] - JPEG quality from 0 to 100
+   * @returns {Promise<Buffer>} The image
+   */
+  async screenshot(options = {}) {
+    const { fullPage, clip, selector, type, quality, ...renderOptions } = options;
+    const result = await this.#render({
+      ...renderOptions,
+      screenshot: { fullPage, clip, selector, type, quality },
+    });
+    return result.screenshot;
+  }
+
+  /**
+   * Renders the page and evaluates a function or expression in it, once the
+   * page is ready as it would be for render(). Promises are awaited.
+   *
+   * @param {Function|string} pageFunction - Function to call in the page, or an expression
+   * @param {...*} args - JSON-serializable arguments passed to the function
+   * @returns {Promise<*>} The value, round-tripped through JSON
+   */
+  async evaluate(pageFunction, ...args) {
+    const evaluate = toEvaluationSource(pageFunction, args);
+    const result = await this.#render({}, { evaluate });
+    return result.evaluation === undefined ? undefined : JSON.parse(result.evaluation);
+  }
+
+  /**
+   * Renders the page and prints it to PDF from the same WebView, once the
+   * page is ready as it would be for render().
+   *
+   * @param {Object} [options] - PDF options; rendering options such as timeout, waitFor and script apply too
+   * @param {string} [options.format='A4'] - Paper format: Letter, Legal, Tabloid, Ledger or A0 to A6
+   * @param {string|number} [options.width] - Paper width, overriding format; numbers are pixels, strings may use px, in, cm or mm
+   * @param {string|number} [options.height] - Paper height, overriding format
+   * @param {boolean} [options.landscape=false] - Print in landscape orientation
+   * @param {{top?: string|number, right?: string|number, bottom?: string|number, left?: string|number}} [options.margin] - Page margins (default 0)
+   * @param {boolean} [options.printBackground=false] - Print background colors and images
+   * @returns {Promise<Buffer>} The PDF document
+   */
+  async pdf(options = {}) {
+    const { format, width, height, landscape, margin, printBackground, ...renderOptions } = options;
+    const result = await this.#render({
+      ...renderOptions,
+      pdf: { format, width, height, landscape, margin, printBackground },
+    });
+    return result.pdf;
+  }
+
+  /**
+   * Opens the page in a native WebView that stays open, to interact with
+   * it across several calls. Resolves once the page is ready as it would be
+   * for render(); close the page when done with it.
+   *
+   * @param {Object} [options] - Page options
+   * @param {number} [options.timeout=5000] - Maximum time for the page to load, and default timeout of each page call, in milliseconds
+   * @param {string|Object|Array|Function} [options.waitFor] - CSS selector or wait condition to wait for before resolving, see render()
+   * @param {Function|string} [options.waitForFunction] - Predicate to wait for before resolving, see render()
+   * @param {number} [options.polling=100] - How often to call waitForFunction, in milliseconds
+   * @param {string} [options.waitForText] - Text to wait for before resolving
+   * @param {string} [options.waitUntil='load'] - When the page, and each page it navigates to, counts as ready; see render()
+   * @param {number} [options.idleTime=500] - Quiet period of the idle `waitUntil` strategies, in milliseconds
+   * @param {boolean} [options.waitForSignal=false] - Wait for the page, and each page it navigates to, to call `window.fetchWithRender.ready()`
+   * @param {string} [options.script] - JavaScript code to execute before resolving
+   * @param {boolean} [options.subresourceHeaders=false] - Also send the request headers on same-origin fetch/XHR requests made by the page, and store its cookies for the page's origin
+   * @param {Function} [options.onConsole] - Called with each console message and uncaught error while a page call runs
+   * @param {Object} [options.block] - Requests to block, see render()
+   * @returns {Promise<Page>} The open page
+   */
+  async open(options = {}) {
+    if (options.onRequest) {
+      throw new TypeError('open() does not support onRequest');
+    }
+    checkWaitUntil(options.waitUntil);
+
+    const pageOptions = {
       timeout: options.timeout,
-      waitFor: options.waitFor,
-      selector: options.selector,
-      script: options.script,
+      waitUntil: options.waitUntil,
+      idleTime: options.idleTime,
+      waitForSignal: options.waitForSignal,
+      headers: Object.fromEntries(new Headers(this.#init.headers)),
+      subresourceHeaders: options.subresourceHeaders,
+      block: options.block,
     };
 
     // Remove undefined values
-    Object.keys(renderOptions).forEach(
-      key => renderOptions[key] === undefined && delete renderOptions[key]
+    Object.keys(pageOptions).forEach(
+      key => pageOptions[key] === undefined && delete pageOptions[key]
     );
 
-    // First render: Use direct native call (fastest, no process overhead)
-    if (renderCount === 1) {
-      const { renderPage } = await import('./native.js');
-      return renderPage(this.#url, renderOptions);
+    const html = await this.#readBody();
+    if (html !== null) {
+      pageOptions.html = html;
     }
 
-    // Subsequent renders: Use child process to avoid macOS EventLoop limitation
-    return this.#renderInChildProcess(renderOptions);
+    const onConsole = options.onConsole && toConsoleHook(options.onConsole);
+    const page = await Page.open(this.#url, pageOptions, onConsole);
+
+    try {
+      const condition = toWaitCondition(options);
+      if (condition) {
+        await page.waitFor(condition);
+      }
+      if (options.script) {
+        // Discard the script's value, which may not be serializable
+        await page.evaluate((source) => { (0, eval)(source); }, options.script);
+      }
+    } catch (error) {
+      await page.close();
+      throw error;
+    }
+    return page;
   }
 
   /**
-   * Renders the page in a child process.
-   * This works around macOS EventLoop limitations by giving each render a fresh process.
+   * Reads the fetched body once, from a clone so the caller can still use
+   * text(), json() etc. Resolves to null if the body was already consumed.
    *
    * @private
    */
-  async #renderInChildProcess(options) {
-    return new Promise((resolve, reject) => {
-      const workerPath = join(__dirname, 'render-worker.js');
-
-      const child = fork(workerPath, [], {
-        stdio: ['pipe', 'pipe', 'pipe', 'ipc']
-      });
-
-      let workerReady = false;
-      let resolved = false;
-      const timeout = options.timeout || 5000;
-      const killTimeout = setTimeout(() => {
-        if (!resolved) {
-          resolved = true;
-          child.kill();
-          reject(new Error(`Render timeout after ${timeout}ms`));
-        }
-      }, timeout + 2000); // Give worker extra time beyond render timeout
-
-      child.on('message', (message) => {
-        if (message.ready) {
-          workerReady = true;
-          // Send render request to worker
-          child.send({
-            url: this.#url,
-            options
-          });
-        } else if (message.success) {
-          if (!resolved) {
-            resolved = true;
-            clearTimeout(killTimeout);
-            resolve(message.html);
-          }
-        } else if (message.error) {
-          if (!resolved) {
-            resolved = true;
-            clearTimeout(killTimeout);
-            reject(new Error(message.error));
-          }
-        }
-      });
-
-      child.on('error', (error) => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(killTimeout);
-          reject(error);
-        }
-      });
-
-      child.on('exit', (code) => {
-        if (!resolved) {
-          resolved = true;
-          clearTimeout(killTimeout);
-          if (code !== 0) {
-            reject(new Error(`Worker process exited with code ${code}`));
-          } else {
-            reject(new Error('Worker exited without sending result'));
-          }
-        }
-      });
-    });
+  #readBody() {
+    if (!this.#body) {
+      this.#body = this.#response.bodyUsed
+        ? Promise.resolve(null)
+        : this.#response.clone().text();
+    }
+    return this.#body;
   }
 
   // Delegate all standard Response methods to the wrapped response
@@ -186,6 +739,6 @@ export class RenderableResponse {
   }
 
   clone() {
-    return new RenderableResponse(this.#response.clone());
+    return new RenderableResponse(this.#response.clone(), this.#init);
   }
 }
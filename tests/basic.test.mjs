@@ -1,6 +1,36 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import fetch from '../dist/index.js';
+import { readFile } from 'node:fs/promises';
+import { getEventListeners } from 'node:events';
+import { createServer, request } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { connect as tlsConnect } from 'node:tls';
+import { X509Certificate } from 'node:crypto';
+import { JSDOM } from 'jsdom';
+import fetch, { RenderPool, getIsolation, renderMany, setIsolation } from '../dist/index.js';
+import { anySignal } from '../dist/response.js';
+import { resourceType, startRequestProxy } from '../dist/request-proxy.js';
+import { formatOutput } from '../dist/format.js';
+import { toExtractSchema } from '../dist/extract.js';
+import { extractArticle } from '../dist/article.js';
+
+/**
+ * Runs the script injected into rendered pages in a jsdom document, to test
+ * its logic on every platform. `before` can stub what jsdom lacks before the
+ * script runs. Resolves with the document and the IPC messages the script
+ * posts.
+ */
+async function loadPageScript(html, { url = 'https://example.com/', config = {}, before } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  const messages = [];
+  dom.window.ipc = { postMessage: (message) => messages.push(message) };
+  dom.window.__fwrConfig = config;
+  // Not implemented by jsdom
+  dom.window.performance.getEntriesByType = () => [];
+  before?.(dom.window);
+  dom.window.eval(await readFile(new URL('../src/page-script.js', import.meta.url), 'utf-8'));
+  return { dom, messages };
+}
 
 test('fetch returns RenderableResponse', async () => {
   const res = await fetch('https://example.com');
@@ -58,3 +88,1018 @@ test('render() accepts options', async (t) => {
 
   assert.ok(html, 'Should return HTML with custom script');
 });
+
+test('renderDetailed() describes the render', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const result = await res.renderDetailed({ waitFor: 'h1', timeout: 10000 });
+
+  assert.strictEqual(result.finalUrl, 'https://example.com/');
+  assert.strictEqual(result.title, 'Example Domain');
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.waitForMatched, true);
+  assert.strictEqual(result.timedOut, false);
+  assert.ok(result.timings.total >= result.timings.navigation, 'Should time each phase');
+});
+
+test('renderDetailed() resolves when waitFor never matches', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const result = await res.renderDetailed({ waitFor: '#never', timeout: 2000 });
+
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.waitForMatched, false);
+  assert.ok(result.html.includes('Example Domain'), 'Should capture the page as it was');
+});
+
+test('render() loads the fetched body at its URL', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+  if (process.platform === 'win32') {
+    t.skip('Windows loads fetched bodies as about:blank documents');
+    return;
+  }
+
+  const res = await fetch('https://example.com/');
+  const page = await res.evaluate(() => {
+    document.cookie = 'visited=1';
+    return { href: location.href, origin: location.origin, cookie: document.cookie };
+  });
+
+  assert.strictEqual(page.href, res.url);
+  assert.strictEqual(page.origin, new URL(res.url).origin);
+  assert.ok(page.cookie.includes('visited=1'), 'Should store cookies for the URL');
+
+  const result = await res.renderDetailed({ timeout: 10000 });
+  assert.strictEqual(result.finalUrl, res.url);
+});
+
+test('renderDetailed() captures console messages', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const seen = [];
+  const result = await res.renderDetailed({
+    timeout: 10000,
+    script: 'console.log("hello", { from: "page" })',
+    onConsole: (message) => seen.push(message),
+  });
+
+  const message = result.console.find((m) => m.type === 'log');
+  assert.strictEqual(message?.text, 'hello {"from":"page"}', 'Should capture console.log');
+  assert.ok(seen.some((m) => m.text === message.text), 'Should call onConsole');
+});
+
+test('evaluate() returns values computed in the page', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const heading = await res.evaluate(
+    async (selector) => document.querySelector(selector).textContent,
+    'h1'
+  );
+
+  assert.strictEqual(heading, 'Example Domain');
+});
+
+test('screenshot() returns a PNG buffer', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+  if (process.platform === 'win32') {
+    t.skip('Screenshots are not supported on Windows');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const image = await res.screenshot({ selector: 'h1', timeout: 10000 });
+
+  assert.ok(Buffer.isBuffer(image), 'Should return a Buffer');
+  assert.strictEqual(image.subarray(1, 4).toString(), 'PNG', 'Should be a PNG image');
+});
+
+test('pdf() returns a PDF document', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+  if (process.platform === 'win32') {
+    t.skip('PDF export is not supported on Windows');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const pdf = await res.pdf({ format: 'A4', margin: { top: '1cm' }, timeout: 10000 });
+
+  assert.ok(Buffer.isBuffer(pdf), 'Should return a Buffer');
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-', 'Should be a PDF document');
+});
+
+test('open() keeps the page open across calls', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const page = await res.open({ timeout: 10000 });
+
+  try {
+    await page.evaluate(() => {
+      const input = document.createElement('input');
+      input.id = 'name';
+      document.body.append(input);
+    });
+    await page.type('#name', 'fetch');
+    await page.click('h1');
+
+    const value = await page.evaluate(() => document.querySelector('#name').value);
+    assert.strictEqual(value, 'fetch', 'Should type into the input');
+
+    const html = await page.content();
+    assert.ok(html.includes('id="name"'), 'Should return the current HTML');
+  } finally {
+    await page.close();
+  }
+
+  await assert.rejects(page.content(), /PageClosedError/);
+});
+
+test('render() runs actions before capturing', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const html = await res.render({
+    timeout: 10000,
+    actions: [
+      { waitFor: 'h1' },
+      { click: 'h1' },
+      { scroll: 'bottom' },
+    ],
+  });
+
+  assert.ok(html.includes('Example Domain'), 'Should capture after the actions');
+
+  await assert.rejects(
+    res.render({ timeout: 10000, actions: [{ click: '#missing' }] }),
+    /ActionError/
+  );
+});
+
+test('render() waits until the network is idle', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const html = await res.render({ waitUntil: 'networkidle0', idleTime: 200, timeout: 10000 });
+
+  assert.ok(html.includes('Example Domain'), 'Should capture the page once idle');
+
+  await assert.rejects(res.render({ waitUntil: 'idle' }), TypeError);
+});
+
+test('render() waits for richer conditions', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const result = await res.renderDetailed({
+    timeout: 10000,
+    waitFor: [
+      { xpath: '//h1', visible: true },
+      { any: ['#missing', { selector: 'p', count: 1 }] },
+    ],
+    waitForFunction: () => document.readyState === 'complete',
+    waitForText: 'Example Domain',
+  });
+
+  assert.strictEqual(result.waitForMatched, true, 'Should match all conditions');
+  assert.strictEqual(result.timedOut, false);
+});
+
+test('renderDetailed() waits for the page ready signal', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const html = `<html><body><script>
+    setTimeout(() => {
+      document.body.textContent = 'hydrated';
+      window.fetchWithRender.ready({ items: 3 });
+    }, 300);
+  </script></body></html>`;
+  const res = await fetch(`data:text/html,${encodeURIComponent(html)}`);
+  const result = await res.renderDetailed({ waitForSignal: true, timeout: 10000 });
+
+  assert.ok(result.html.includes('hydrated'), 'Should capture after the signal');
+  assert.deepStrictEqual(result.signal, { items: 3 });
+});
+
+test('render() extracts every element matching selectorAll', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const paragraphs = await res.render({ selectorAll: 'p', property: 'textContent', timeout: 10000 });
+
+  assert.ok(Array.isArray(paragraphs), 'Should return an array');
+  assert.ok(paragraphs.length >= 1, 'Should return every match');
+
+  const missing = await res.render({ selector: '#missing', timeout: 10000 });
+  assert.strictEqual(missing, null, 'Should return null when nothing matches');
+});
+
+test('render() captures the page once, running script once', async () => {
+  const { dom, messages } = await loadPageScript('<p>Hello</p>', {
+    config: { customScript: 'window.count = (window.count || 0) + 1' },
+  });
+  try {
+    // A regular capture, then the one the timeout forces right after it
+    dom.window.checkAndExtract(true);
+    dom.window.checkAndExtract(true);
+
+    assert.strictEqual(dom.window.count, 1);
+    assert.strictEqual(messages.filter((message) => message.startsWith('HTML:')).length, 1);
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('subresourceHeaders adds the headers to the page requests', async () => {
+  const fetched = [];
+  const sent = [];
+  const { dom } = await loadPageScript('<p>App</p>', {
+    url: 'https://app.example/dashboard',
+    config: {
+      url: 'https://app.example/dashboard',
+      forwardHeaders: { Authorization: 'Bearer token', Cookie: 'session=abc; theme=dark' },
+    },
+    before(window) {
+      // jsdom has no fetch, and its XHR would go to the network
+      window.Request = Request;
+      window.Headers = Headers;
+      window.fetch = async (input, init) => {
+        fetched.push(new Request(input, init));
+        return new Response('');
+      };
+      Object.assign(window.XMLHttpRequest.prototype, {
+        open(method, url) { this.sent = { url, headers: {} }; },
+        setRequestHeader(name, value) { this.sent.headers[name] = value; },
+        send() { sent.push(this.sent); },
+      });
+    },
+  });
+
+  try {
+    await dom.window.fetch('https://app.example/api/items');
+    await dom.window.fetch('https://other.example/api/items');
+    const xhr = new dom.window.XMLHttpRequest();
+    xhr.open('GET', '/api/user');
+    xhr.send();
+
+    assert.strictEqual(fetched[0].headers.get('authorization'), 'Bearer token');
+    assert.strictEqual(fetched[1].headers.get('authorization'), null, 'Should not forward to other origins');
+    assert.strictEqual(sent[0].headers.Authorization, 'Bearer token');
+    assert.strictEqual(fetched[0].headers.get('cookie'), null, 'Should leave cookies to the engine');
+    assert.strictEqual(dom.window.document.cookie, 'session=abc; theme=dark');
+  } finally {
+    dom.window.close();
+  }
+});
+
+/**
+ * Sends a request through a request proxy the way the WebView does, with the
+ * absolute URL as the target. Resolves with the status, headers and body.
+ */
+function proxyRequest(proxy, url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request(
+      { host: '127.0.0.1', port: proxy.options.port, path: url, method, headers, agent: false },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('request proxy continues, aborts and fulfills requests', async () => {
+  const received = [];
+  const server = createServer((req, res) => {
+    received.push(`${req.method} ${req.url}`);
+    res.setHeader('content-type', 'text/plain');
+    res.end('from server');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const requests = [];
+  const proxy = await startRequestProxy((req) => {
+    requests.push(req);
+    if (req.url.endsWith('/abort')) return { action: 'abort' };
+    if (req.url.endsWith('/fulfill')) {
+      return { action: 'fulfill', status: 201, headers: { 'content-type': 'image/png' }, body: Buffer.from([0x89, 0x50]) };
+    }
+    return { action: 'continue' };
+  }, assert.fail);
+
+  try {
+    const continued = await proxyRequest(proxy, `${origin}/continue`, {
+      method: 'POST',
+      headers: { 'content-type': 'text/plain', 'sec-fetch-dest': 'empty' },
+      body: 'payload',
+    });
+    assert.strictEqual(continued.status, 200);
+    assert.strictEqual(continued.body.toString(), 'from server');
+    assert.deepStrictEqual(received, ['POST /continue']);
+    assert.strictEqual(requests[0].url, `${origin}/continue`);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].resourceType, 'fetch');
+    assert.strictEqual(requests[0].postData, 'payload');
+    assert.strictEqual(requests[0].headers['content-type'], 'text/plain');
+    assert.strictEqual(requests[0].headers.connection, undefined, 'Should leave out hop-by-hop headers');
+
+    await assert.rejects(proxyRequest(proxy, `${origin}/abort`));
+
+    const fulfilled = await proxyRequest(proxy, `${origin}/fulfill`, { headers: { origin: 'https://app.example' } });
+    assert.strictEqual(fulfilled.status, 201);
+    assert.deepStrictEqual([...fulfilled.body], [0x89, 0x50], 'Should keep binary bodies');
+    assert.strictEqual(fulfilled.headers['access-control-allow-origin'], 'https://app.example');
+    assert.deepStrictEqual(received, ['POST /continue'], 'Should not reach the server');
+  } finally {
+    proxy.close();
+    server.close();
+  }
+});
+
+test('request proxy decrypts HTTPS with its own certificate authority', async () => {
+  const urls = [];
+  const proxy = await startRequestProxy((req) => {
+    urls.push(req.url);
+    return { action: 'fulfill', body: 'secure' };
+  }, assert.fail);
+  const ca = new X509Certificate(Buffer.from(proxy.options.certificate, 'base64')).toString();
+
+  try {
+    // The WebView opens a tunnel for each HTTPS origin
+    const [, socket] = await new Promise((resolve, reject) => {
+      const req = request({ host: '127.0.0.1', port: proxy.options.port, method: 'CONNECT', path: 'secure.example:8443' });
+      req.on('connect', (...args) => resolve(args));
+      req.on('error', reject);
+      req.end();
+    });
+    const body = await new Promise((resolve, reject) => {
+      const req = httpsRequest(
+        {
+          host: 'secure.example',
+          path: '/data?page=1',
+          createConnection: () => tlsConnect({ socket, servername: 'secure.example', ca }),
+        },
+        (res) => {
+          res.setEncoding('utf-8');
+          let text = '';
+          res.on('data', (chunk) => (text += chunk));
+          res.on('end', () => resolve(text));
+        }
+      );
+      req.on('error', reject);
+      req.end();
+    });
+
+    assert.strictEqual(body, 'secure');
+    assert.deepStrictEqual(urls, ['https://secure.example:8443/data?page=1']);
+    assert.match(proxy.options.publicKeyHash, /^[A-Za-z0-9+/]{43}=$/);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('request proxy aborts requests whose hook throws', async () => {
+  const errors = [];
+  const proxy = await startRequestProxy(() => {
+    throw new Error('hook failed');
+  }, (error) => errors.push(error.message));
+
+  try {
+    await assert.rejects(proxyRequest(proxy, 'http://127.0.0.1:9/'));
+    assert.deepStrictEqual(errors, ['hook failed']);
+  } finally {
+    proxy.close();
+  }
+});
+
+test('resourceType() tells what a request is for', () => {
+  const type = (headers, url = 'https://example.com/') => resourceType(headers, url);
+  assert.strictEqual(type({ 'sec-fetch-dest': 'document' }), 'document');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'iframe' }), 'document');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'style' }), 'stylesheet');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'worker' }), 'script');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'video' }), 'media');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'empty' }), 'fetch');
+  assert.strictEqual(type({ 'sec-fetch-dest': 'report' }), 'other');
+  // Without Sec-Fetch-Dest, from the Accept header or the URL
+  assert.strictEqual(type({ accept: 'text/html,application/xhtml+xml' }), 'document');
+  assert.strictEqual(type({ accept: 'image/webp,*/*' }), 'image');
+  assert.strictEqual(type({ accept: '*/*' }, 'https://example.com/app.js?v=2'), 'script');
+  assert.strictEqual(type({ accept: '*/*' }, 'https://example.com/font.WOFF2'), 'font');
+  assert.strictEqual(type({ accept: '*/*' }, 'https://example.com/api'), 'other');
+});
+
+test('render() converts to markdown, text and JSON', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+
+  const markdown = await res.render({ format: 'markdown', timeout: 10000 });
+  assert.ok(markdown.includes('# Example Domain'), 'Should convert headings to markdown');
+
+  const text = await res.render({ selector: 'h1', format: 'text', timeout: 10000 });
+  assert.strictEqual(text, 'Example Domain');
+
+  const page = await res.render({ format: 'json', timeout: 10000 });
+  assert.strictEqual(page.title, 'Example Domain');
+  assert.ok(page.html.includes('<h1>'), 'Should include the HTML');
+  assert.ok(page.text.includes('Example Domain'), 'Should include the text');
+});
+
+test('formatOutput() converts HTML to text', async () => {
+  const html = '<h1>Title</h1><p>Hello <a href="/about">about</a></p><script>track()</script>'
+    + '<ul><li>One</li><li>Two</li></ul><table><tr><td>a</td><td>b</td></tr></table>';
+  const text = await formatOutput('text', { html, url: 'https://example.com/blog/post', title: 'Post' });
+
+  assert.strictEqual(text, 'Title\n\nHello about\n\nOne\nTwo\n\na\tb');
+});
+
+test('formatOutput() converts HTML to markdown with absolute links', async () => {
+  const html = '<h1>Title</h1><p>Read <a href="/about">about</a> <img src="a.png" alt="A"></p><style>p {}</style>';
+  const markdown = await formatOutput('markdown', { html, url: 'https://example.com/blog/post', title: 'Post' });
+
+  assert.strictEqual(markdown, '# Title\n\nRead [about](https://example.com/about) ![A](https://example.com/blog/a.png)');
+});
+
+test('formatOutput() converts each selectorAll match and builds JSON', async () => {
+  const url = 'https://example.com/';
+  const elements = ['<b>a</b>', '<i>b</i>'];
+
+  assert.deepStrictEqual(await formatOutput('text', { html: null, elements, url, title: 'T' }), ['a', 'b']);
+  assert.deepStrictEqual(await formatOutput('json', { html: '<p>x</p>', url, title: 'T' }), {
+    url, title: 'T', html: '<p>x</p>', text: 'x', markdown: 'x',
+  });
+  assert.deepStrictEqual(await formatOutput('json', { html: null, elements: ['<b>a</b>'], url, title: 'T' }), {
+    url, title: 'T', elements: [{ html: '<b>a</b>', text: 'a', markdown: '**a**' }],
+  });
+});
+
+test('formatOutput() passes HTML through and keeps null', async () => {
+  assert.strictEqual(await formatOutput('html', { html: '<p>x</p>', url: 'https://example.com/' }), '<p>x</p>');
+  assert.strictEqual(await formatOutput('markdown', { html: null, url: 'https://example.com/', title: '' }), null);
+
+  // URLs jsdom can't resolve against leave links as they are
+  const markdown = await formatOutput('markdown', { html: '<a href="/x">x</a>', url: 'data:text/html,x', title: '' });
+  assert.strictEqual(markdown, '[x](/x)');
+});
+
+test('render() extracts an object with a schema', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const data = await res.render({
+    extract: {
+      title: 'h1',
+      links: ['a@href'],
+      body: { _root: 'body', first: 'p' },
+      missing: '.missing',
+    },
+    timeout: 10000,
+  });
+
+  assert.strictEqual(data.title, 'Example Domain');
+  assert.ok(data.links.every((href) => href.startsWith('http')), 'Should resolve links');
+  assert.strictEqual(typeof data.body.first, 'string');
+  assert.strictEqual(data.missing, null);
+});
+
+test('toExtractSchema() parses fields, lists and objects', () => {
+  assert.deepStrictEqual(toExtractSchema('.price | number'), { selector: '.price', attribute: undefined, type: 'number' });
+  assert.deepStrictEqual(toExtractSchema('a@href'), { selector: 'a', attribute: 'href', type: 'string' });
+  assert.deepStrictEqual(toExtractSchema('[lang|=en]'), { selector: '[lang|=en]', attribute: undefined, type: 'string' });
+  assert.deepStrictEqual(toExtractSchema(['li']), { selector: 'li', attribute: undefined, type: 'string', all: true });
+  assert.deepStrictEqual(toExtractSchema({ _root: 'main', title: 'h1' }), {
+    root: 'main',
+    fields: { title: { selector: 'h1', attribute: undefined, type: 'string' } },
+  });
+
+  assert.throws(() => toExtractSchema({ price: '.price | money' }), /Unknown type 'money' in extract\.price/);
+  assert.throws(() => toExtractSchema([{ title: 'h1' }]), /needs a _root selector/);
+  assert.throws(() => toExtractSchema([['li']]), /can't be a list of lists/);
+  assert.throws(() => toExtractSchema(42), TypeError);
+});
+
+test('toExtractSchema() schemas extract values from HTML', async () => {
+  const html = `<div class="product"><h2> Lamp </h2><span class="price">$1,299.99</span><a href="/lamp">Lamp</a>
+    <time datetime="2024-05-01">May 1</time></div>
+    <div class="product"><h2>Desk</h2><span class="price">12</span><a href="/desk">Desk</a></div>
+    <p class="stock">In stock</p>`;
+  const { dom } = await loadPageScript(html, { url: 'https://shop.example/list' });
+
+  const schema = toExtractSchema({
+    products: [{ _root: '.product', name: 'h2', price: '.price | number', link: 'a@href', date: 'time@datetime | date' }],
+    inStock: '.stock | boolean',
+    missing: '.missing',
+  });
+  try {
+    // Values reach Node as JSON, as from a render
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(dom.window.__fwrExtract(schema))), {
+      products: [
+        { name: 'Lamp', price: 1299.99, link: 'https://shop.example/lamp', date: '2024-05-01T00:00:00.000Z' },
+        { name: 'Desk', price: 12, link: 'https://shop.example/desk', date: null },
+      ],
+      inStock: true,
+      missing: null,
+    });
+  } finally {
+    dom.window.close();
+  }
+});
+
+test('render() extracts the article in article mode', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const html = `<html><head><title>Tomatoes</title><meta name="author" content="Jane Doe"></head><body>
+    <nav><a href="/">Home</a><a href="/news">News</a></nav>
+    <article><div class="entry-content">
+      <p>Tomatoes are one of the most popular garden vegetables, and for good reason: they are easy to grow.</p>
+      <p>Start seeds indoors six to eight weeks before the last frost, keeping them warm, moist and in bright light.</p>
+    </div></article>
+    <section class="comments"><p>Great article, thanks so much for writing this, very helpful!</p></section>
+  </body></html>`;
+  const res = await fetch(`data:text/html,${encodeURIComponent(html)}`);
+  const article = await res.render({ mode: 'article', timeout: 10000 });
+
+  assert.strictEqual(article.title, 'Tomatoes');
+  assert.strictEqual(article.byline, 'Jane Doe');
+  assert.ok(article.textContent.includes('Start seeds indoors'), 'Should include the body');
+  assert.ok(!article.textContent.includes('Great article'), 'Should leave out comments');
+  assert.ok(!article.content.includes('News'), 'Should leave out navigation');
+});
+
+test('extractArticle() finds the main content and metadata', async () => {
+  const html = `<html><head><title>Tomatoes | Garden Blog</title>
+    <meta property="og:site_name" content="Garden Blog">
+    <script type="application/ld+json">
+      {"@type": "BlogPosting", "headline": "Growing Tomatoes", "author": {"name": "Jane Doe"}, "datePublished": "2024-04-02T08:00:00Z"}
+    </script></head><body>
+    <nav><a href="/">Home</a><a href="/news">News</a></nav>
+    <article><div class="entry-content">
+      <p>Tomatoes are one of the most popular garden vegetables, and for good reason: they are easy to grow, productive and delicious.</p>
+      <p>Start seeds indoors six to eight weeks before the last frost. <img src="seedlings.jpg" alt="Seedlings"></p>
+      <p>Transplant them once nights stay warm, burying the stems deep so <a href="/roots">roots</a> form along them.</p>
+    </div></article>
+    <aside class="sidebar"><p>Subscribe to our newsletter for more gardening tips every single week!</p></aside>
+    <section class="comments"><p>Great article, thanks so much for writing this, very helpful!</p></section>
+  </body></html>`;
+  const article = await extractArticle(html, { url: 'https://garden.example/posts/tomatoes', title: 'Tomatoes | Garden Blog' });
+
+  assert.strictEqual(article.title, 'Growing Tomatoes');
+  assert.strictEqual(article.byline, 'Jane Doe');
+  assert.strictEqual(article.publishedTime, '2024-04-02T08:00:00Z');
+  assert.strictEqual(article.siteName, 'Garden Blog');
+  assert.ok(article.excerpt.startsWith('Tomatoes are one of the most popular'), 'Should use the first paragraph as excerpt');
+  assert.ok(article.textContent.includes('Start seeds indoors'), 'Should include the body');
+  assert.ok(!article.textContent.includes('Great article'), 'Should leave out comments');
+  assert.ok(!article.textContent.includes('newsletter'), 'Should leave out the sidebar');
+  assert.ok(!article.content.includes('News'), 'Should leave out navigation');
+  assert.ok(article.content.includes('src="https://garden.example/posts/seedlings.jpg"'), 'Should resolve images');
+  assert.ok(article.content.includes('href="https://garden.example/roots"'), 'Should resolve links');
+});
+
+test('extractArticle() falls back to the document title', async () => {
+  const article = await extractArticle('<p>Short</p>', { url: 'data:text/html,x', title: 'Note' });
+
+  assert.deepStrictEqual(article, {
+    title: 'Note',
+    byline: null,
+    publishedTime: null,
+    content: '<p>Short</p>',
+    textContent: 'Short',
+    excerpt: 'Short',
+    siteName: null,
+  });
+});
+
+test('renderDetailed() returns the metadata of the page', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const html = `<html><head><title>Lamp</title><script>
+    const meta = document.createElement('meta');
+    meta.setAttribute('property', 'og:title');
+    meta.setAttribute('content', 'Injected');
+    document.head.appendChild(meta);
+  </script>
+  <script type="application/ld+json">{"@type": "Product", "name": "Lamp"}</script>
+  <link rel="canonical" href="https://shop.example.com/lamp"></head><body></body></html>`;
+  const res = await fetch(`data:text/html,${encodeURIComponent(html)}`);
+  const { metadata } = await res.renderDetailed({ timeout: 10000 });
+
+  assert.strictEqual(metadata.title, 'Lamp');
+  assert.strictEqual(metadata.openGraph.title, 'Injected', 'Should read tags added by scripts');
+  assert.deepStrictEqual(metadata.jsonLd, [{ '@type': 'Product', name: 'Lamp' }]);
+  assert.strictEqual(metadata.canonical, 'https://shop.example.com/lamp');
+});
+
+test('renderDetailed() lists the links and assets of the page', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('https://example.com');
+  const { assets } = await res.renderDetailed({ assets: true, timeout: 10000 });
+
+  assert.ok(assets.links.length >= 1, 'Should list the links');
+  assert.ok(assets.links.every((link) => /^https?:/.test(link.url)), 'Should resolve links');
+  assert.strictEqual(typeof assets.links[0].nofollow, 'boolean');
+  assert.ok(Array.isArray(assets.requests), 'Should list the requests');
+});
+
+test('block keeps resources from loading whether the page is fetched or navigated to', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+  if (process.platform === 'win32') {
+    t.skip('Windows blocks only the resources of fetched bodies');
+    return;
+  }
+
+  const requested = [];
+  const server = createServer((req, res) => {
+    requested.push(req.url);
+    if (req.url === '/') {
+      res.setHeader('content-type', 'text/html');
+      res.end('<img src="/allowed.png"><img src="/ads/blocked.png"><link rel="stylesheet" href="/style.css"><h1>Page</h1>');
+    } else {
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const block = { resourceTypes: ['stylesheet'], urlPatterns: ['/ads/'] };
+
+  try {
+    const res = await fetch(url);
+    await res.renderDetailed({ block, waitUntil: 'load', timeout: 10000 });
+    assert.ok(requested.includes('/allowed.png'), 'Should load the other resources');
+    assert.ok(!requested.includes('/ads/blocked.png'), 'Should block URL patterns in the fetched body');
+    assert.ok(!requested.includes('/style.css'), 'Should block resource types in the fetched body');
+
+    requested.length = 0;
+    for await (const page of renderMany([url], { block, waitUntil: 'load', timeout: 10000 })) {
+      assert.strictEqual(page.status, 'fulfilled');
+    }
+    assert.deepStrictEqual(requested.filter((path) => path !== '/favicon.ico'), ['/', '/allowed.png']);
+  } finally {
+    server.close();
+  }
+});
+
+test('onRequest sees the resources of the markup', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const requested = [];
+  const server = createServer((req, res) => {
+    requested.push(req.url);
+    res.setHeader('content-type', 'text/html');
+    res.end('<link rel="stylesheet" href="/style.css"><img src="/logo.png"><script src="/app.js"></script><h1>Page</h1>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const seen = [];
+    const res = await fetch(url);
+    await res.render({
+      waitUntil: 'load',
+      timeout: 10000,
+      onRequest(request) {
+        const { pathname } = new URL(request.url);
+        seen.push([pathname, request.resourceType]);
+        if (pathname === '/style.css') return 'abort';
+        if (pathname === '/logo.png') return { headers: { 'content-type': 'image/png' }, body: new Uint8Array() };
+      },
+    });
+    assert.deepStrictEqual(
+      seen.filter(([pathname]) => pathname !== '/favicon.ico').sort(),
+      [['/app.js', 'script'], ['/logo.png', 'image'], ['/style.css', 'stylesheet']]
+    );
+    assert.deepStrictEqual(requested.filter((path) => path !== '/favicon.ico'), ['/', '/app.js']);
+
+    await assert.rejects(
+      (await fetch(url)).render({
+        onRequest() {
+          throw new Error('hook failed');
+        },
+      }),
+      /InterceptionError: hook failed/
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('renderMany() yields each page as it finishes', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const pages = ['One', 'Two', 'Three'].map(
+    (title) => `data:text/html,${encodeURIComponent(`<h1>${title}</h1>`)}`
+  );
+  const results = [];
+  for await (const result of renderMany(pages, { concurrency: 2, selector: 'h1', timeout: 10000 })) {
+    results.push(result);
+  }
+
+  assert.strictEqual(results.length, 3);
+  results.sort((a, b) => a.index - b.index);
+  assert.deepStrictEqual(
+    results.map((result) => result.value),
+    ['<h1>One</h1>', '<h1>Two</h1>', '<h1>Three</h1>']
+  );
+  assert.ok(results.every((result) => result.status === 'fulfilled'));
+});
+
+test('renderMany() renders in the workers of a pool', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const pool = new RenderPool({ size: 2 });
+  try {
+    const pages = ['One', 'Two', 'Three'].map(
+      (title) => `data:text/html,${encodeURIComponent(`<h1>${title}</h1>`)}`
+    );
+    const results = [];
+    for await (const result of renderMany(pages, { pool, selector: 'h1', timeout: 10000 })) {
+      results.push(result);
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    assert.deepStrictEqual(
+      results.map((result) => result.value),
+      ['<h1>One</h1>', '<h1>Two</h1>', '<h1>Three</h1>']
+    );
+    assert.strictEqual(pool.workers, 2, 'Should render in the workers of the pool');
+  } finally {
+    await pool.close();
+  }
+});
+
+test('renderMany() validates concurrency', async () => {
+  await assert.rejects(renderMany(['https://example.com'], { concurrency: 0 }).next(), TypeError);
+  await assert.rejects(renderMany(['https://example.com'], { isolation: 'inline' }).next(), TypeError);
+  await assert.rejects(renderMany(['https://example.com'], { pool: {} }).next(), TypeError);
+});
+
+test('render() keeps the Node event loop running', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const html = `<script>setTimeout(() => document.body.innerHTML = '<p id="late">Late</p>', 500)</script>`;
+  const res = await fetch(`data:text/html,${encodeURIComponent(html)}`);
+
+  let ticks = 0;
+  const interval = setInterval(() => ticks++, 50);
+  try {
+    await res.render({ waitFor: '#late', timeout: 10000, isolation: 'inline' });
+  } finally {
+    clearInterval(interval);
+  }
+
+  assert.ok(ticks >= 3, `Timers should fire during the render, fired ${ticks} times`);
+});
+
+test('RenderPool validates its options', () => {
+  assert.throws(() => new RenderPool({ size: 0 }), TypeError);
+  assert.throws(() => new RenderPool({ maxRendersPerWorker: 1.5 }), TypeError);
+  assert.throws(() => new RenderPool({ healthCheckInterval: -1 }), TypeError);
+});
+
+test('RenderPool reuses workers across renders', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const pool = new RenderPool({ size: 1 });
+  try {
+    for (const title of ['One', 'Two', 'Three']) {
+      const res = await fetch(`data:text/html,${encodeURIComponent(`<h1>${title}</h1>`)}`);
+      const html = await res.render({ pool, selector: 'h1', timeout: 10000 });
+      assert.strictEqual(html, `<h1>${title}</h1>`);
+      assert.ok(pool.workers <= 1, 'Should not start more workers than the pool size');
+    }
+  } finally {
+    await pool.close();
+  }
+
+  assert.strictEqual(pool.workers, 0);
+  const res = await fetch('data:text/html,<p>Closed</p>');
+  await assert.rejects(res.render({ pool }), /RenderPool is closed/);
+});
+
+test('RenderPool keeps a worker whose render times out', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const pool = new RenderPool({ size: 1 });
+  try {
+    const first = await fetch('data:text/html,<p>Warm</p>');
+    await first.render({ pool });
+    const pids = pool.pids;
+
+    const slow = await fetch('data:text/html,<p>Slow</p>');
+    await assert.rejects(slow.render({ pool, waitFor: '#never', timeout: 500 }), /RenderTimeoutError/);
+    assert.strictEqual(pool.workers, 1);
+    assert.deepStrictEqual(pool.pids, pids);
+
+    const next = await fetch('data:text/html,<h1>Next</h1>');
+    assert.strictEqual(await next.render({ pool, selector: 'h1' }), '<h1>Next</h1>');
+    assert.deepStrictEqual(pool.pids, pids, 'The same worker should serve the next render');
+  } finally {
+    await pool.close();
+  }
+});
+
+test('getIsolation() tells where a render runs', () => {
+  assert.strictEqual(getIsolation(), 'pool');
+  assert.strictEqual(getIsolation({ isolation: 'process' }), 'process');
+  assert.strictEqual(getIsolation({ onRequest: () => 'continue' }), 'inline');
+  assert.throws(() => getIsolation({ isolation: 'pool', onRequest: () => 'continue' }), TypeError);
+  assert.throws(() => getIsolation({ isolation: 'thread' }), TypeError);
+
+  setIsolation('inline');
+  try {
+    assert.strictEqual(getIsolation(), 'inline');
+    assert.strictEqual(getIsolation({ pool: new RenderPool() }), 'pool');
+  } finally {
+    setIsolation();
+  }
+  assert.strictEqual(getIsolation(), 'pool');
+});
+
+test('render() fails the same way in every isolation mode', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  for (const isolation of ['inline', 'process', 'pool']) {
+    const res = await fetch('data:text/html,<p>Never</p>');
+    await assert.rejects(
+      res.render({ waitFor: '#missing', timeout: 500, isolation }),
+      /RenderTimeoutError/,
+      `Should time out with isolation '${isolation}'`
+    );
+  }
+});
+
+test('render() rejects with an AbortError when its signal aborts', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  for (const isolation of ['inline', 'process', 'pool']) {
+    const res = await fetch('data:text/html,<p>Never</p>');
+    const controller = new AbortController();
+    const started = Date.now();
+    const rendering = res.render({ waitFor: '#missing', timeout: 10000, isolation, signal: controller.signal });
+    setTimeout(() => controller.abort(), 200);
+    await assert.rejects(rendering, { name: 'AbortError' }, `Should abort with isolation '${isolation}'`);
+    assert.ok(Date.now() - started < 5000, `Should stop before the timeout with isolation '${isolation}'`);
+  }
+});
+
+test('render() rejects with the reason of a timeout signal', async (t) => {
+  // Skip on Linux due to WebView headless limitations
+  if (process.platform === 'linux') {
+    t.skip('Skipping render test on Linux (headless WebView not fully supported)');
+    return;
+  }
+
+  const res = await fetch('data:text/html,<p>Never</p>');
+  await assert.rejects(
+    res.render({ waitFor: '#missing', timeout: 10000, signal: AbortSignal.timeout(200) }),
+    { name: 'TimeoutError' }
+  );
+});
+
+test('anySignal() aborts with the first signal without adding listeners', () => {
+  const first = new AbortController();
+  const second = new AbortController();
+  const signal = anySignal([first.signal, undefined, second.signal]);
+
+  assert.strictEqual(getEventListeners(first.signal, 'abort').length, 0, 'Should not leave a listener behind');
+  assert.strictEqual(anySignal([first.signal]), first.signal);
+  assert.strictEqual(anySignal([]), undefined);
+
+  second.abort();
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(signal.reason.name, 'AbortError');
+});
+
+test('render() stops when the fetch signal aborts', async () => {
+  const controller = new AbortController();
+  const res = await fetch('data:text/html,<p>Hello</p>', { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(res.render(), { name: 'AbortError' });
+});
+
+test('render() stops when the signal of a Request resource aborts', async () => {
+  const controller = new AbortController();
+  const request = new Request('data:text/html,<p>Hello</p>', { signal: controller.signal });
+  const res = await fetch(request, { signal: new AbortController().signal });
+  controller.abort();
+
+  await assert.rejects(res.render(), { name: 'AbortError' });
+});